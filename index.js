@@ -1,19 +1,2016 @@
 // ELI Utils - Utility functions for web experiments
 // This file can be imported in variant code using: import utils from '@eli/utils';
 
+/**
+ * Error thrown when a wait helper exceeds its timeout
+ * @param {string} message - Error message
+ * @param {number} timeout - Timeout that elapsed, in milliseconds
+ */
+class TimeoutError extends Error {
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error thrown when a wait helper is cancelled through an AbortSignal
+ * @param {string} message - Error message
+ * @param {*} reason - The signal's abort reason
+ */
+class AbortError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Shared promise plumbing for the wait helpers. Handles `timeout` and `signal`
+ * and runs every registered cleanup exactly once, however the promise settles.
+ * @param {Object} options - Options object with optional timeout and signal
+ * @param {string} description - What is being waited for (used in error messages)
+ * @param {Function} setup - Receives (resolve, reject, onCleanup)
+ * @returns {Promise}
+ */
+function createWaiter(options, description, setup) {
+  const { timeout = null, signal = null } = options;
+
+  return new Promise((resolve, reject) => {
+    const cleanups = [];
+    let settled = false;
+
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      cleanups.splice(0).forEach(cleanup => cleanup());
+      fn(value);
+    };
+
+    const onCleanup = (cleanup) => {
+      if (settled) {
+        cleanup();
+      } else {
+        cleanups.push(cleanup);
+      }
+    };
+
+    const done = value => settle(resolve, value);
+    const fail = error => settle(reject, error);
+
+    if (signal) {
+      if (signal.aborted) {
+        fail(new AbortError(`Aborted while waiting for ${description}`, signal.reason));
+        return;
+      }
+      const onAbort = () => fail(new AbortError(`Aborted while waiting for ${description}`, signal.reason));
+      signal.addEventListener('abort', onAbort);
+      onCleanup(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    if (timeout) {
+      const timeoutId = setTimeout(() => {
+        fail(new TimeoutError(`Timed out after ${timeout}ms waiting for ${description}`, timeout));
+      }, timeout);
+      onCleanup(() => clearTimeout(timeoutId));
+    }
+
+    try {
+      setup(done, fail, onCleanup);
+    } catch (error) {
+      fail(error);
+    }
+  });
+}
+
+/**
+ * Get the node a MutationObserver should watch for a query context
+ * @param {Document|Element|ShadowRoot} context - Query context
+ * @returns {Node} Node to observe
+ */
+function getObserveRoot(context) {
+  return context.nodeType === Node.DOCUMENT_NODE ? (context.body || context.documentElement) : context;
+}
+
+// Selector combinator that steps into an element's shadow root or iframe document: 'host >>> inner'
+const PIERCE_COMBINATOR = '>>>';
+
+/**
+ * Check whether a query needs to look inside shadow roots and iframes
+ * @param {string} selector - CSS selector
+ * @param {boolean} pierce - The caller's pierce option
+ * @returns {boolean} True if the query pierces
+ */
+function isPiercing(selector, pierce) {
+  return !!pierce || (typeof selector === 'string' && selector.includes(PIERCE_COMBINATOR));
+}
+
+/**
+ * Get the open shadow root or same-origin iframe document hosted by an element
+ * @param {Element} el - Element
+ * @returns {Array<Document|ShadowRoot>} Zero or one roots
+ */
+function getHostedRoots(el) {
+  if (el.shadowRoot) return [el.shadowRoot];
+  if (el.tagName === 'IFRAME') {
+    try {
+      // Throws (or returns null) for cross-origin frames
+      if (el.contentDocument) return [el.contentDocument];
+    } catch (e) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Collect a context and every open shadow root and same-origin iframe document nested inside it
+ * @param {Document|Element|ShadowRoot} context - Query context
+ * @param {Array<Element>} frames - Optional array that receives every iframe element found
+ * @returns {Array<Document|Element|ShadowRoot>} Roots to query
+ */
+function collectRoots(context, frames = null) {
+  const roots = [context];
+  if (context.nodeType === Node.ELEMENT_NODE) roots.push(...getHostedRoots(context));
+
+  for (let i = 0; i < roots.length; i++) {
+    roots[i].querySelectorAll('*').forEach(el => {
+      if (frames && el.tagName === 'IFRAME') frames.push(el);
+      roots.push(...getHostedRoots(el));
+    });
+  }
+  return roots;
+}
+
+/**
+ * Find all elements matching a selector, optionally piercing shadow roots and iframes
+ * @param {string} selector - CSS selector, may use the '>>>' combinator
+ * @param {Document|Element|ShadowRoot} context - Query context
+ * @param {boolean} pierce - Search every nested shadow root and same-origin iframe
+ * @returns {NodeList|Array<Element>} Matches (an Array when piercing)
+ */
+function queryAll(selector, context, pierce = false) {
+  if (!isPiercing(selector, pierce)) {
+    return context.querySelectorAll(selector);
+  }
+
+  const segments = selector.split(PIERCE_COMBINATOR).map(segment => segment.trim());
+  let roots = [context];
+  let matches = [];
+
+  segments.forEach((segment, i) => {
+    const searchRoots = pierce ? roots.flatMap(root => collectRoots(root)) : roots;
+    matches = [...new Set(searchRoots.flatMap(root => Array.from(root.querySelectorAll(segment))))];
+    if (i < segments.length - 1) {
+      roots = matches.flatMap(getHostedRoots);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find the first element matching a selector, optionally piercing shadow roots and iframes
+ * @param {string} selector - CSS selector, may use the '>>>' combinator
+ * @param {Document|Element|ShadowRoot} context - Query context
+ * @param {boolean} pierce - Search every nested shadow root and same-origin iframe
+ * @returns {Element|null} First match or null
+ */
+function queryOne(selector, context, pierce = false) {
+  if (!isPiercing(selector, pierce)) {
+    return context.querySelector(selector);
+  }
+  return queryAll(selector, context, pierce)[0] || null;
+}
+
+/**
+ * Watch a context for added or removed nodes. When piercing, also watches every open shadow root
+ * and same-origin iframe document inside it, including ones that appear later.
+ * @param {Document|Element|ShadowRoot} context - Context to watch
+ * @param {boolean} pierce - Also watch nested shadow roots and iframes
+ * @param {Function} onChange - Called after each batch of mutations (or iframe load)
+ * @returns {Function} Function to stop watching
+ */
+function observeTree(context, pierce, onChange) {
+  const observed = new WeakSet();
+  const frames = new Set();
+  observerStats.treeObservers++;
+
+  const observer = new MutationObserver(() => {
+    if (pierce) observeRoots();
+    onChange();
+  });
+
+  const onFrameLoad = () => {
+    observeRoots();
+    onChange();
+  };
+
+  function observeRoots() {
+    const foundFrames = [];
+    const roots = pierce ? collectRoots(context, foundFrames) : [context];
+    roots.forEach(root => {
+      const target = getObserveRoot(root);
+      if (observed.has(target)) return;
+      observed.add(target);
+      observer.observe(target, { childList: true, subtree: true });
+    });
+    foundFrames.forEach(frame => {
+      if (frames.has(frame)) return;
+      frames.add(frame);
+      frame.addEventListener('load', onFrameLoad);
+    });
+  }
+
+  observeRoots();
+
+  return () => {
+    observer.disconnect();
+    frames.forEach(frame => frame.removeEventListener('load', onFrameLoad));
+    frames.clear();
+    observerStats.treeObservers--;
+  };
+}
+
+// Selector registry served by one shared MutationObserver per root (document or shadow root).
+// Added nodes, elements whose attributes changed and parents that lost children are queued and checked
+// once per animation frame, against those subtrees only. watch() is served from the same batches.
+const selectorRegistry = new Set();
+const sharedRoots = new Map(); // root node -> { observer, count }
+const pendingNodes = new Set();
+const pendingAdded = new Set(); // Queued nodes that were added (rather than changed)
+const pendingChanged = new Map(); // Queued element -> 'attributes' or 'childList' (lost children)
+let pendingRemovals = false;
+let selectorFlushScheduled = false;
+const observerStats = {
+  batches: 0,
+  mutationRecords: 0,
+  addedNodes: 0,
+  changedNodes: 0,
+  checks: 0,
+  matches: 0,
+  lastBatchDuration: 0,
+  maxBatchDuration: 0,
+  treeObservers: 0
+};
+
+/**
+ * Schedule a registry check. Animation frames run before paint, so matches are handled
+ * without a flash of the original content; hidden pages get no frames, so fall back to an idle callback.
+ */
+function scheduleSelectorFlush() {
+  if (selectorFlushScheduled) return;
+  selectorFlushScheduled = true;
+  if (document.visibilityState !== 'hidden' && typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(flushSelectorRegistry);
+  } else if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(flushSelectorRegistry, { timeout: 100 });
+  } else {
+    setTimeout(flushSelectorRegistry, 16);
+  }
+}
+
+/**
+ * Check the queued nodes against every registered selector and watcher
+ */
+function flushSelectorRegistry() {
+  selectorFlushScheduled = false;
+  const start = Date.now();
+
+  // Only check the top of each queued subtree; nested queued nodes are covered by querySelectorAll
+  const nested = new Set(); // Queued nodes with other queued nodes inside them
+  const roots = Array.from(pendingNodes).filter(node => {
+    let isTop = true;
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+      if (pendingNodes.has(parent)) {
+        nested.add(parent);
+        isTop = false;
+      }
+    }
+    return isTop;
+  });
+  const added = new Set(pendingAdded);
+  const changed = new Map(pendingChanged);
+  const hasRemovals = pendingRemovals;
+  pendingNodes.clear();
+  pendingAdded.clear();
+  pendingChanged.clear();
+  pendingRemovals = false;
+
+  Array.from(selectorRegistry).forEach(entry => {
+    if (!selectorRegistry.has(entry)) return; // Unregistered by an earlier entry in this batch
+    const matches = [];
+    roots.forEach(queued => {
+      // Sibling combinators can match next to the queued node, so check from its parent
+      const root = entry.hasSiblingCombinator && queued.parentElement ? queued.parentElement : queued;
+      let scope = null;
+      if (entry.context.contains(root)) {
+        scope = root;
+      } else if (root.contains(entry.context)) {
+        scope = entry.context;
+      }
+      if (!scope) return;
+      observerStats.checks++;
+      if (scope.nodeType === Node.ELEMENT_NODE && scope.matches(entry.selector)) matches.push(scope);
+      matches.push(...scope.querySelectorAll(entry.selector));
+    });
+    if (matches.length > 0) {
+      observerStats.matches += matches.length;
+      entry.onMatch(matches);
+    }
+  });
+
+  if (watchers.size > 0) processWatchBatch(roots, { nested, added, changed, hasRemovals });
+
+  const duration = Date.now() - start;
+  observerStats.batches++;
+  observerStats.lastBatchDuration = duration;
+  observerStats.maxBatchDuration = Math.max(observerStats.maxBatchDuration, duration);
+}
+
+/**
+ * Check whether any registered selector or watcher depends on the style attribute
+ * @returns {boolean} True if a selector mentions [style
+ */
+function hasStyleSelector() {
+  return Array.from(selectorRegistry).some(entry => entry.selector.includes('[style')) ||
+    Array.from(watchers).some(watcher => watcher.selector.includes('[style'));
+}
+
+/**
+ * Queue an element whose attributes or children changed
+ * @param {Element|ShadowRoot} node - Changed node
+ * @param {string} kind - 'attributes' or 'childList'
+ */
+function queueChangedNode(node, kind) {
+  if (!pendingNodes.has(node)) observerStats.changedNodes++;
+  pendingNodes.add(node);
+  if (pendingChanged.get(node) !== 'childList') pendingChanged.set(node, kind);
+}
+
+/**
+ * Start the shared observer for a root, or add a user to the existing one
+ * @param {Document|ShadowRoot} root - Root node
+ */
+function retainSharedRoot(root) {
+  if (!sharedRoots.has(root)) {
+    const observer = new MutationObserver(records => {
+      observerStats.mutationRecords += records.length;
+      let watchStyle = null;
+      records.forEach(record => {
+        if (record.type === 'attributes') {
+          // Inline style churns during animations and rarely decides a match
+          if (record.attributeName === 'style') {
+            if (watchStyle === null) watchStyle = hasStyleSelector();
+            if (!watchStyle) return;
+          }
+          queueChangedNode(record.target, 'attributes');
+          return;
+        }
+        record.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          if (!pendingNodes.has(node)) observerStats.addedNodes++;
+          pendingNodes.add(node);
+          pendingAdded.add(node);
+        });
+        // A removal can make siblings match (:first-child, :empty, :not(), + and ~), so check the parent again
+        if (record.removedNodes.length > 0) {
+          pendingRemovals = true;
+          queueChangedNode(record.target, 'childList');
+        }
+      });
+      if (pendingNodes.size > 0) scheduleSelectorFlush();
+    });
+    observer.observe(root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root, {
+      childList: true,
+      subtree: true,
+      attributes: true
+    });
+    sharedRoots.set(root, { observer, count: 0 });
+  }
+  sharedRoots.get(root).count++;
+}
+
+/**
+ * Remove a user of a root's shared observer, stopping it when it has none left
+ * @param {Document|ShadowRoot} root - Root node
+ */
+function releaseSharedRoot(root) {
+  const shared = sharedRoots.get(root);
+  shared.count--;
+  if (shared.count === 0) {
+    shared.observer.disconnect();
+    sharedRoots.delete(root);
+  }
+}
+
+/**
+ * Register a selector with the shared observer
+ * @param {string} selector - CSS selector (no '>>>' combinator)
+ * @param {Document|Element|ShadowRoot} context - Only matches inside this context are reported
+ * @param {string} source - Name of the utils method registering (for getObserverStats())
+ * @param {Function} onMatch - Called with an array of matching elements that were added, or that changed
+ *   (an element may be reported again)
+ * @returns {Function} Function to unregister
+ */
+function registerSelector(selector, context, source, onMatch) {
+  const root = context.getRootNode();
+  const entry = { selector, context, source, onMatch, hasSiblingCombinator: /[+~]/.test(selector) };
+  selectorRegistry.add(entry);
+  retainSharedRoot(root);
+
+  return () => {
+    if (!selectorRegistry.delete(entry)) return;
+    releaseSharedRoot(root);
+  };
+}
+
+// Change ledger: variant id -> recorded changes (oldest first)
+const changeLedger = new Map();
+let activeChangeId = null;
+
+/**
+ * Record a change under the active variant id, if any. Must be called before
+ * the element is mutated so createUndo can capture the previous state.
+ * @param {string} type - Name of the utils method making the change
+ * @param {Node} element - Node being changed
+ * @param {Function} createUndo - Returns a function that restores the previous state
+ */
+function recordChange(type, element, createUndo) {
+  if (activeChangeId === null) return;
+  if (!changeLedger.has(activeChangeId)) {
+    changeLedger.set(activeChangeId, []);
+  }
+  changeLedger.get(activeChangeId).push({ type, element, undo: createUndo() });
+}
+
+/**
+ * Capture an attribute so it can be restored (or removed if it was absent)
+ * @param {Element} el - Element
+ * @param {string} name - Attribute name
+ * @returns {Function} Undo function
+ */
+function attributeUndo(el, name) {
+  const previous = el.getAttribute(name);
+  return () => {
+    if (previous === null) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, previous);
+    }
+  };
+}
+
+/**
+ * Capture a class so it can be restored to its previous presence
+ * @param {Element} el - Element
+ * @param {string} className - Class name
+ * @returns {Function} Undo function
+ */
+function classUndo(el, className) {
+  const had = el.classList.contains(className);
+  return () => el.classList.toggle(className, had);
+}
+
+/**
+ * Capture an element's child nodes so the exact same nodes can be put back
+ * @param {Element} el - Element
+ * @returns {Function} Undo function
+ */
+function childrenUndo(el) {
+  const previous = Array.from(el.childNodes);
+  return () => el.replaceChildren(...previous);
+}
+
+/**
+ * Capture a node's position in the DOM so it can be moved back (or detached if it had no parent)
+ * @param {Node} node - Node
+ * @returns {Function} Undo function
+ */
+function positionUndo(node) {
+  const parent = node.parentNode;
+  const nextSibling = node.nextSibling;
+  return () => {
+    if (!parent) {
+      if (node.parentNode) node.parentNode.removeChild(node);
+      return;
+    }
+    parent.insertBefore(node, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+  };
+}
+
+// Route change listeners registered through onRouteChange()
+const routeListeners = new Set();
+let historyPatched = false;
+let lastRouteUrl = null;
+
+/**
+ * Compile a URL pattern to a RegExp
+ * `*` matches anything, `:name` captures one path segment as a named group, and `/:name?` makes
+ * the segment optional.
+ * @param {string} pattern - URL pattern, such as '/products/:id/*'
+ * @returns {RegExp} Anchored RegExp with named groups
+ */
+function compileUrlPattern(pattern) {
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const token = /(\/)?:([A-Za-z_]\w*)(\?)?|\*/g;
+  let source = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = token.exec(pattern))) {
+    source += escape(pattern.slice(lastIndex, match.index));
+    if (match[0] === '*') {
+      source += '.*';
+    } else {
+      const [, slash = '', name, optional] = match;
+      const group = `${escape(slash)}(?<${name}>[^/]+)`;
+      source += optional ? `(?:${group})?` : group;
+    }
+    lastIndex = token.lastIndex;
+  }
+
+  source += escape(pattern.slice(lastIndex));
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Test a URL against a route pattern
+ * Strings may contain * wildcards and :name segments (see compileUrlPattern), and are matched against
+ * the pathname when they start with '/', otherwise against the full URL. RegExps and functions receive the full URL.
+ * @param {string|RegExp|Function} pattern - Route pattern
+ * @param {string} url - URL to test
+ * @returns {boolean} True if the URL matches
+ */
+function matchesRoute(pattern, url) {
+  if (pattern == null) return true;
+  if (typeof pattern === 'function') return !!pattern(url);
+  if (pattern instanceof RegExp) return pattern.test(url);
+
+  const target = pattern.startsWith('/') ? new URL(url).pathname : url;
+  return compileUrlPattern(pattern).test(target);
+}
+
+/**
+ * Notify route listeners if the URL has changed since the last notification
+ */
+function notifyRouteChange() {
+  const url = window.location.href;
+  if (url === lastRouteUrl) return;
+  const previousUrl = lastRouteUrl;
+  lastRouteUrl = url;
+
+  routeListeners.forEach(listener => {
+    try {
+      listener(url, previousUrl);
+    } catch (e) {
+      console.warn('Route change callback failed:', e);
+    }
+  });
+}
+
+/**
+ * Patch history.pushState/replaceState and listen to popstate/hashchange (once per page)
+ */
+function patchHistory() {
+  if (historyPatched) return;
+  historyPatched = true;
+  lastRouteUrl = window.location.href;
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = window.history[method];
+    window.history[method] = function(...args) {
+      const result = original.apply(this, args);
+      notifyRouteChange();
+      return result;
+    };
+  });
+
+  window.addEventListener('popstate', notifyRouteChange);
+  window.addEventListener('hashchange', notifyRouteChange);
+}
+
+/**
+ * MurmurHash3 (x86, 32-bit) of a string
+ * @param {string} key - String to hash
+ * @param {number} seed - Hash seed (default: 0)
+ * @returns {number} Unsigned 32-bit hash
+ */
+function murmurhash3(key, seed = 0) {
+  const bytes = new TextEncoder().encode(key);
+  const length = bytes.length;
+  const blocks = length - (length % 4);
+  let h = seed >>> 0;
+  let k;
+
+  for (let i = 0; i < blocks; i += 4) {
+    k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k = Math.imul(k, 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, 0x1b873593);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  k = 0;
+  switch (length & 3) {
+    case 3: k ^= bytes[blocks + 2] << 16; // falls through
+    case 2: k ^= bytes[blocks + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[blocks];
+      k = Math.imul(k, 0xcc9e2d51);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, 0x1b873593);
+      h ^= k;
+  }
+
+  h ^= length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Number of buckets used for traffic allocation and variant weights
+const BUCKET_COUNT = 10000;
+
+/**
+ * Map a key to a bucket between 0 and BUCKET_COUNT - 1
+ * @param {string} key - Key to hash
+ * @returns {number} Bucket
+ */
+function getBucket(key) {
+  return murmurhash3(key) % BUCKET_COUNT;
+}
+
+/**
+ * Normalize variant definitions to an array of { name, weight }
+ * @param {Array<string>|Array<Object>|Object} variants - Names, { name, weight } objects, or a name -> weight map
+ * @returns {Array<Object>} Normalized variants
+ */
+function normalizeVariants(variants) {
+  if (Array.isArray(variants)) {
+    return variants.map(variant => typeof variant === 'string' ? { name: variant, weight: 1 } : variant);
+  }
+  return Object.keys(variants).map(name => ({ name, weight: variants[name] }));
+}
+
+/**
+ * Pick the variant whose weight range contains the bucket
+ * @param {Array<Object>} variants - Normalized variants
+ * @param {number} bucket - Bucket between 0 and BUCKET_COUNT - 1
+ * @returns {string|null} Variant name, or null if every weight is 0
+ */
+function pickWeighted(variants, bucket) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (total <= 0) return null;
+
+  let upperBound = 0;
+  for (const variant of variants) {
+    upperBound += (variant.weight / total) * BUCKET_COUNT;
+    if (bucket < upperBound) return variant.name;
+  }
+  return variants[variants.length - 1].name;
+}
+
+/**
+ * Compare a string against an audience rule value
+ * @param {string|null} actual - Actual value (null when missing)
+ * @param {string} match - 'exact', 'contains', 'regex' or 'exists'
+ * @param {string|Array<string>} expected - Expected value, or any of several values
+ * @returns {boolean} True if the value matches
+ */
+function compareAudienceValue(actual, match, expected) {
+  if (match === 'exists') return actual !== null && actual !== undefined;
+  if (actual === null || actual === undefined) return false;
+  if (Array.isArray(expected)) {
+    return expected.some(value => compareAudienceValue(actual, match, value));
+  }
+
+  switch (match) {
+    case 'exact': return actual === String(expected);
+    case 'contains': return actual.includes(String(expected));
+    case 'regex': return new RegExp(expected).test(actual);
+    default: throw new Error(`Unknown audience match type: ${match}`);
+  }
+}
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes = 0] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Evaluate an audience rule and explain the result
+ * @param {Object} utils - The utils object (for the cookie, URL and device helpers)
+ * @param {Object} rule - Audience rule
+ * @returns {Object} Explanation node: { rule, matched, actual, children }
+ */
+function evaluateAudienceRule(utils, rule) {
+  if (rule.and || rule.or) {
+    const children = (rule.and || rule.or).map(child => evaluateAudienceRule(utils, child));
+    const matched = rule.and
+      ? children.every(child => child.matched)
+      : children.some(child => child.matched);
+    return { rule: rule.and ? 'and' : 'or', matched, children };
+  }
+
+  if (rule.not) {
+    const child = evaluateAudienceRule(utils, rule.not);
+    return { rule: 'not', matched: !child.matched, children: [child] };
+  }
+
+  const node = (matched, actual) => ({ rule, matched, actual });
+  const { match = 'exact', value } = rule;
+  const valueMatch = value === undefined ? 'exists' : match;
+
+  switch (rule.type) {
+    case 'url': {
+      const actual = window.location.href;
+      return node(compareAudienceValue(actual, rule.match || 'contains', value), actual);
+    }
+    case 'query': {
+      const actual = utils.getQueryParam(rule.name);
+      return node(compareAudienceValue(actual, valueMatch, value), actual);
+    }
+    case 'cookie': {
+      const actual = utils.getCookie(rule.name);
+      return node(compareAudienceValue(actual, valueMatch, value), actual);
+    }
+    case 'storage': {
+      const actual = rule.backend === 'session'
+        ? utils.getSessionStorage(rule.key)
+        : utils.getLocalStorage(rule.key);
+      return node(compareAudienceValue(actual, valueMatch, value), actual);
+    }
+    case 'device': {
+      const actual = utils.getDeviceType();
+      return node(compareAudienceValue(actual, 'exact', value), actual);
+    }
+    case 'browser': {
+      const actual = utils.getBrowser();
+      return node(compareAudienceValue(actual, 'exact', value), actual);
+    }
+    case 'referrer': {
+      const actual = document.referrer || null;
+      return node(compareAudienceValue(actual, value === undefined ? 'exists' : rule.match || 'contains', value), actual);
+    }
+    case 'viewport': {
+      const actual = utils.getViewport();
+      const { minWidth = 0, maxWidth = Infinity, minHeight = 0, maxHeight = Infinity } = rule;
+      const matched = actual.width >= minWidth && actual.width <= maxWidth &&
+        actual.height >= minHeight && actual.height <= maxHeight;
+      return node(matched, actual);
+    }
+    case 'time': {
+      const now = new Date();
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      let matched = true;
+      if (rule.days) matched = matched && rule.days.includes(now.getDay());
+      if (rule.from) matched = matched && now >= new Date(rule.from);
+      if (rule.to) matched = matched && now <= new Date(rule.to);
+      if (rule.start && rule.end) {
+        const start = toMinutes(rule.start);
+        const end = toMinutes(rule.end);
+        // Windows like 22:00-06:00 wrap past midnight
+        matched = matched && (start <= end
+          ? minutes >= start && minutes < end
+          : minutes >= start || minutes < end);
+      }
+      return node(matched, now.toString());
+    }
+    default:
+      throw new Error(`Unknown audience rule type: ${rule.type}`);
+  }
+}
+
+// Analytics dispatch: registered destinations, context merged into every event, and events tracked
+// so far (replayed to destinations added later in the page view)
+const trackingDestinations = new Map();
+const trackingContext = { experiments: {} };
+const trackedEvents = [];
+const recentEvents = new Map(); // name + props -> timestamp, oldest first, pruned after TRACKING_DEDUPE_WINDOW
+const sentDedupeKeys = new Set(); // Explicit dedupeKey values, kept for the page view
+let trackingTimer = null;
+let trackingUnloadBound = false;
+
+// Delay used to batch events, and to retry destinations that aren't ready yet
+const TRACKING_BATCH_DELAY = 50;
+const TRACKING_RETRY_DELAY = 500;
+// Identical events inside this window are treated as duplicates
+const TRACKING_DEDUPE_WINDOW = 1000;
+// Upper bound on events held in each queue
+const TRACKING_MAX_QUEUE = 500;
+
+/**
+ * Built-in analytics destinations, created by name through utils.addDestination()
+ */
+const builtInDestinations = {
+  dataLayer: () => ({
+    isReady: () => true,
+    send: (events) => {
+      window.dataLayer = window.dataLayer || [];
+      events.forEach(event => window.dataLayer.push({ event: event.name, ...event.properties }));
+    }
+  }),
+
+  gtag: () => ({
+    isReady: () => typeof window.gtag === 'function',
+    send: (events) => {
+      events.forEach(event => window.gtag('event', event.name, event.properties));
+    }
+  }),
+
+  beacon: ({ url }) => ({
+    isReady: () => true,
+    send: (events) => {
+      // Serialize events one by one so an event with circular or BigInt properties doesn't drop the batch
+      const serialized = [];
+      events.forEach(event => {
+        try {
+          serialized.push(JSON.stringify(event));
+        } catch (e) {
+          console.warn(`Failed to serialize event ${event.name} for beacon:`, e);
+        }
+      });
+      if (serialized.length === 0) return;
+      const body = `[${serialized.join(',')}]`;
+      if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+      fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+    }
+  }),
+
+  console: () => ({
+    isReady: () => true,
+    send: (events) => {
+      events.forEach(event => console.log('[eli-utils] track:', event.name, event.properties));
+    }
+  })
+};
+
+/**
+ * Add events to a queue, dropping the oldest once TRACKING_MAX_QUEUE is reached
+ * @param {Array<Object>} queue - Queue
+ * @param {Array<Object>} events - Events to add
+ */
+function enqueueEvents(queue, events) {
+  queue.push(...events);
+  if (queue.length > TRACKING_MAX_QUEUE) {
+    queue.splice(0, queue.length - TRACKING_MAX_QUEUE);
+  }
+}
+
+/**
+ * Schedule a flush of pending events, if one isn't already scheduled
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleTrackingFlush(delay) {
+  if (trackingTimer) return;
+  trackingTimer = setTimeout(() => {
+    trackingTimer = null;
+    flushTracking();
+  }, delay);
+}
+
+/**
+ * Send pending events to every ready destination. Destinations that aren't ready keep their events.
+ */
+function flushTracking() {
+  let waiting = false;
+
+  trackingDestinations.forEach((destination, name) => {
+    if (!destination.pending.length) return;
+    if (!destination.isReady()) {
+      waiting = true;
+      return;
+    }
+
+    const batch = destination.pending.splice(0);
+    try {
+      destination.send(batch);
+    } catch (e) {
+      console.warn(`Failed to send events to ${name}:`, e);
+    }
+  });
+
+  if (waiting) scheduleTrackingFlush(TRACKING_RETRY_DELAY);
+}
+
+// Goals already converted in this page view (for trackGoal's once: 'page')
+const convertedGoals = new Set();
+
+// Stylesheets added through addStyles() with an id: root (document or shadow root) -> id -> handle
+const styleRegistry = new WeakMap();
+
+// At-rules whose blocks contain style rules that should be scoped
+const SCOPABLE_AT_RULES = /^@(media|supports|container|layer|document)\b/;
+
+/**
+ * Split a selector list on its top-level commas, leaving commas inside :is(), :not(), attribute
+ * selectors and strings alone
+ * @param {string} selectorList - Selector list such as 'a, b:is(.x, .y)'
+ * @returns {Array<string>} Selectors
+ */
+function splitSelectorList(selectorList) {
+  const selectors = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selectorList.length; i++) {
+    const char = selectorList[i];
+    if (char === '\\') {
+      i++; // Skip the escaped character
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      selectors.push(selectorList.slice(start, i));
+      start = i + 1;
+    }
+  }
+  selectors.push(selectorList.slice(start));
+  return selectors;
+}
+
+/**
+ * Prefix every selector in a stylesheet with a scope selector
+ * `:scope` in a selector is replaced with the scope selector itself.
+ * @param {string} css - CSS text
+ * @param {string} scopeSelector - Selector to prefix with, such as '.eli-variant-b'
+ * @returns {string} Scoped CSS text
+ */
+function scopeCSS(css, scopeSelector) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let output = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    if (open === -1) {
+      output += source.slice(index);
+      break;
+    }
+
+    // Find the matching closing brace
+    let depth = 1;
+    let close = open + 1;
+    while (close < source.length && depth > 0) {
+      if (source[close] === '{') depth++;
+      if (source[close] === '}') depth--;
+      close++;
+    }
+
+    // Statements like @import end with ';' before the next block
+    const head = source.slice(index, open);
+    const lastStatement = head.lastIndexOf(';');
+    output += head.slice(0, lastStatement + 1);
+    const prelude = head.slice(lastStatement + 1).trim();
+    const body = source.slice(open + 1, close - 1);
+
+    if (SCOPABLE_AT_RULES.test(prelude)) {
+      output += `${prelude} {${scopeCSS(body, scopeSelector)}}\n`;
+    } else if (prelude.startsWith('@')) {
+      output += `${prelude} {${body}}\n`;
+    } else {
+      const selectors = splitSelectorList(prelude).map(selector => {
+        const trimmed = selector.trim();
+        return trimmed.includes(':scope')
+          ? trimmed.replace(/:scope/g, scopeSelector)
+          : `${scopeSelector} ${trimmed}`;
+      });
+      output += `${selectors.join(', ')} {${body}}\n`;
+    }
+
+    index = close;
+  }
+
+  return output;
+}
+
+// Element helpers that utils.$() collections apply to every element, returning the collection
+const COLLECTION_METHODS = [
+  'addClass', 'removeClass', 'toggleClass', 'on', 'off', 'delegate', 'setText', 'setHTML',
+  'setAttr', 'removeAttr', 'setData', 'setStyle', 'show', 'hide', 'remove', 'scrollIntoView'
+];
+
+// Element helpers that utils.$() collections call on the first element, returning its result
+const COLLECTION_GETTERS = [
+  'hasClass', 'getText', 'getHTML', 'getAttr', 'getData', 'getStyle', 'isVisible',
+  'isInViewport', 'getRect', 'getOffset', 'matches', 'closest', 'parent'
+];
+
+/**
+ * Chainable set of elements returned by utils.$()
+ * Every helper in COLLECTION_METHODS applies to all elements; helpers in COLLECTION_GETTERS read the first element.
+ */
+class ElementCollection {
+  constructor(utils, elements) {
+    this.utils = utils;
+    this.elements = elements;
+    this.length = elements.length;
+  }
+
+  /**
+   * Call a function for each element
+   * @param {Function} fn - Function that receives (element, index)
+   * @returns {ElementCollection} This collection
+   */
+  each(fn) {
+    this.elements.forEach((el, i) => fn(el, i));
+    return this;
+  }
+
+  /**
+   * Keep only the elements matching a selector or passing a test
+   * @param {string|Function} test - CSS selector, or function that receives (element, index)
+   * @returns {ElementCollection} New collection
+   */
+  filter(test) {
+    const keep = typeof test === 'string' ? el => el.matches(test) : test;
+    return new ElementCollection(this.utils, this.elements.filter(keep));
+  }
+
+  /**
+   * Get a collection of just the first element
+   * @returns {ElementCollection} New collection
+   */
+  first() {
+    return new ElementCollection(this.utils, this.elements.slice(0, 1));
+  }
+
+  /**
+   * Find descendants of every element
+   * @param {string} selector - CSS selector
+   * @returns {ElementCollection} New collection
+   */
+  find(selector) {
+    const found = this.elements.flatMap(el => Array.from(el.querySelectorAll(selector)));
+    return new ElementCollection(this.utils, [...new Set(found)]);
+  }
+
+  /**
+   * Get the element at an index
+   * @param {number} index - Index
+   * @returns {Element|undefined} Element
+   */
+  get(index) {
+    return this.elements[index];
+  }
+
+  /**
+   * Get the elements as an array
+   * @returns {Array<Element>} Elements
+   */
+  toArray() {
+    return this.elements.slice();
+  }
+
+  /**
+   * Get the first element's value, or set the value of every element
+   * @param {string} value - Value to set (optional)
+   * @returns {string|ElementCollection} First element's value if getting, this collection if setting
+   */
+  val(value) {
+    if (value === undefined) {
+      return this.elements.length ? this.utils.val(this.elements[0]) : undefined;
+    }
+    this.elements.forEach(el => this.utils.val(el, value));
+    return this;
+  }
+
+  /**
+   * Append a child to every element (copies are cloned for every element after the first)
+   * @param {Element|string} child - Child element or selector
+   * @returns {ElementCollection} This collection
+   */
+  append(child) {
+    return this.insertChild('append', child);
+  }
+
+  /**
+   * Prepend a child to every element (copies are cloned for every element after the first)
+   * @param {Element|string} child - Child element or selector
+   * @returns {ElementCollection} This collection
+   */
+  prepend(child) {
+    return this.insertChild('prepend', child);
+  }
+
+  /**
+   * Shared implementation of append() and prepend()
+   * @param {string} method - 'append' or 'prepend'
+   * @param {Element|string} child - Child element or selector
+   * @returns {ElementCollection} This collection
+   */
+  insertChild(method, child) {
+    const childEl = typeof child === 'string' ? document.querySelector(child) : child;
+    if (!childEl) return this;
+    this.elements.forEach((el, i) => {
+      this.utils[method](el, i === 0 ? childEl : childEl.cloneNode(true));
+    });
+    return this;
+  }
+
+  [Symbol.iterator]() {
+    return this.elements[Symbol.iterator]();
+  }
+}
+
+COLLECTION_METHODS.forEach(name => {
+  ElementCollection.prototype[name] = function(...args) {
+    this.elements.forEach(el => this.utils[name](el, ...args));
+    return this;
+  };
+});
+
+COLLECTION_GETTERS.forEach(name => {
+  ElementCollection.prototype[name] = function(...args) {
+    return this.elements.length ? this.utils[name](this.elements[0], ...args) : undefined;
+  };
+});
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Default allowlists for sanitized HTML
+const SANITIZE_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'ins', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 's', 'small', 'source', 'span',
+  'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+const SANITIZE_ATTRIBUTES = [
+  'alt', 'class', 'height', 'href', 'id', 'rel', 'sizes', 'src', 'srcset', 'target', 'title', 'width'
+];
+// Elements removed together with their content, rather than unwrapped
+const SANITIZE_DROP_TAGS = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'];
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'action', 'formaction', 'xlink:href'];
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Check whether a URL attribute value is safe to keep
+ * The value is resolved the way the browser would (which strips tabs, newlines and leading control
+ * characters), so only the resulting protocol is checked. srcset entries are checked one by one.
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {boolean} True if every URL resolves to an allowed protocol
+ */
+function isSafeUrl(name, value) {
+  const urls = name === 'srcset'
+    ? value.split(',').map(entry => entry.trim().split(/\s+/)[0]).filter(Boolean)
+    : [value];
+  return urls.every(url => {
+    try {
+      return SAFE_URL_PROTOCOLS.includes(new URL(url, document.baseURI).protocol);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Parse HTML and keep only allowlisted tags and attributes
+ * Disallowed elements are unwrapped (their children are kept), except script-like elements, which are dropped.
+ * Event handler attributes and URLs with a protocol other than http:, https:, mailto: or tel: are always removed.
+ * @param {string} html - HTML to sanitize
+ * @param {Object} options - Options object
+ * @param {Array<string>} options.tags - Allowed tag names (default: SANITIZE_TAGS)
+ * @param {Array<string>} options.attributes - Allowed attribute names (default: SANITIZE_ATTRIBUTES), plus aria-* and data-*
+ * @returns {DocumentFragment} Sanitized fragment
+ */
+function sanitizeHTML(html, options = {}) {
+  const { tags = SANITIZE_TAGS, attributes = SANITIZE_ATTRIBUTES } = options;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const clean = (parent) => {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (SANITIZE_DROP_TAGS.includes(tag) && !tags.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      clean(node);
+
+      if (!tags.includes(tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        const allowed = attributes.includes(name) || name.startsWith('aria-') || name.startsWith('data-');
+        const unsafe = name.startsWith('on') || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(name, attr.value));
+        if (!allowed || unsafe) node.removeAttribute(attr.name);
+      });
+    });
+  };
+
+  clean(template.content);
+  return template.content;
+}
+
+/**
+ * Append children to an element. Strings become text nodes, arrays are flattened, and null, undefined
+ * and false are skipped.
+ * @param {Element|DocumentFragment} parent - Parent node
+ * @param {*} children - Child or children
+ */
+function appendChildren(parent, children) {
+  if (children === null || children === undefined || children === false) return;
+  if (Array.isArray(children)) {
+    children.forEach(child => appendChildren(parent, child));
+  } else if (children instanceof Node) {
+    parent.appendChild(children);
+  } else {
+    parent.appendChild(document.createTextNode(String(children)));
+  }
+}
+
+// In-memory storage areas for the 'memory' backend and for browsers where web storage is unavailable
+const memoryStorage = new Map();
+
+/**
+ * Create a key/value adapter over a memory Map with the same interface as the web storage adapters
+ * @param {string} name - Memory area name
+ * @returns {Object} Adapter with getItem, setItem, removeItem and keys
+ */
+function createMemoryAdapter(name) {
+  if (!memoryStorage.has(name)) memoryStorage.set(name, new Map());
+  const area = memoryStorage.get(name);
+  return {
+    type: 'memory',
+    getItem: key => area.has(key) ? area.get(key) : null,
+    setItem: (key, value) => area.set(key, value),
+    removeItem: key => area.delete(key),
+    keys: () => Array.from(area.keys())
+  };
+}
+
+/**
+ * Create a key/value adapter over cookies
+ * @returns {Object} Adapter with getItem, setItem, removeItem and keys
+ */
+function createCookieAdapter() {
+  // parseCookies() tolerates malformed cookies set by other scripts (e.g. 'other=100%')
+  const read = () => Object.entries(parseCookies());
+  return {
+    type: 'cookie',
+    getItem: (key) => {
+      const found = read().find(([name]) => name === key);
+      return found ? found[1] : null;
+    },
+    setItem: (key, value, expires = null) => {
+      // Cookie expiry has one-second precision, so round up rather than expire early
+      const expiry = expires ? `;expires=${new Date(Math.ceil(expires / 1000) * 1000).toUTCString()}` : '';
+      document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}${expiry};path=/`;
+    },
+    removeItem: (key) => {
+      document.cookie = `${encodeURIComponent(key)}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+    },
+    keys: () => read().map(([name]) => name)
+  };
+}
+
+/**
+ * Create a key/value adapter for a storage backend, falling back to memory when web storage is
+ * unavailable (e.g. blocked in private mode)
+ * @param {string} backend - 'local', 'session', 'cookie' or 'memory'
+ * @returns {Object} Adapter with type, getItem, setItem, removeItem and keys
+ */
+function createStorageAdapter(backend) {
+  if (backend === 'cookie') return createCookieAdapter();
+  if (backend !== 'local' && backend !== 'session') return createMemoryAdapter('memory');
+
+  try {
+    const storage = backend === 'local' ? window.localStorage : window.sessionStorage;
+    const testKey = '__eli_storage_test__';
+    storage.setItem(testKey, testKey);
+    storage.removeItem(testKey);
+    return {
+      type: backend,
+      storage,
+      getItem: key => storage.getItem(key),
+      setItem: (key, value) => storage.setItem(key, value),
+      removeItem: key => storage.removeItem(key),
+      keys: () => Object.keys(storage)
+    };
+  } catch (e) {
+    return createMemoryAdapter(backend);
+  }
+}
+
+/**
+ * Check whether a storage error means the quota is full
+ * @param {Error} error - Error thrown by setItem
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Encode a cookie value, leaving the characters cookies allow as-is
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeCookieValue(value) {
+  return encodeURIComponent(value).replace(/%(2[346BF]|3[AC-F]|40|5[BDE]|60|7[BCD])/g, decodeURIComponent);
+}
+
+/**
+ * Decode a cookie name or value, or a URL part, returning it unchanged if it isn't valid percent-encoding
+ * (URLs such as /sale-50%/ are accepted by the URL parser but throw in decodeURIComponent)
+ * @param {string} value - Value to decode
+ * @returns {string} Decoded value
+ */
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Parse document.cookie into a name -> value object (decoded)
+ * @returns {Object} Cookies, in an object without a prototype so names like 'constructor' are looked up safely
+ */
+function parseCookies() {
+  const cookies = Object.create(null);
+  document.cookie.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = decodeComponent(part.slice(0, index).trim());
+    // The first occurrence is the most specific path, matching the browser's own precedence
+    if (name && !(name in cookies)) {
+      cookies[name] = decodeComponent(part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1'));
+    }
+  });
+  return cookies;
+}
+
+let rootDomainCache = null;
+
+/**
+ * Immutable URL returned by utils.url(). Every method that changes the URL returns a new UrlBuilder.
+ */
+class UrlBuilder {
+  constructor(utils, href, options = {}) {
+    this.utils = utils;
+    this.url = new URL(href, window.location.href);
+    this.arrayFormat = options.arrayFormat || 'repeat';
+  }
+
+  /**
+   * Copy this URL, apply a change to the copy's URL object, and return the copy
+   * @param {Function} change - Function that receives the copy's URL object
+   * @returns {UrlBuilder} New URL
+   */
+  derive(change) {
+    const next = new UrlBuilder(this.utils, this.url.href, { arrayFormat: this.arrayFormat });
+    change(next.url);
+    return next;
+  }
+
+  /**
+   * Full URL
+   * @returns {string} URL
+   */
+  get href() {
+    return this.url.href;
+  }
+
+  toString() {
+    return this.url.href;
+  }
+
+  toJSON() {
+    return this.url.href;
+  }
+
+  /**
+   * Get the first value of a query parameter (also reads bracket-style 'name[]')
+   * @param {string} name - Parameter name
+   * @returns {string|null} Value or null
+   */
+  get(name) {
+    const values = this.getAll(name);
+    return values.length ? values[0] : null;
+  }
+
+  /**
+   * Get every value of a query parameter (both 'name' and bracket-style 'name[]')
+   * @param {string} name - Parameter name
+   * @returns {Array<string>} Values
+   */
+  getAll(name) {
+    return [...this.url.searchParams.getAll(name), ...this.url.searchParams.getAll(`${name}[]`)];
+  }
+
+  /**
+   * Check whether a query parameter is present (including bracket-style keys)
+   * @param {string} name - Parameter name
+   * @returns {boolean} True if present
+   */
+  has(name) {
+    return Array.from(this.url.searchParams.keys()).some(key => key === name || key.startsWith(`${name}[`));
+  }
+
+  /**
+   * Set a query parameter, replacing existing values
+   * Arrays become repeated keys ('tags=a&tags=b'), or 'tags[]=a&tags[]=b' with arrayFormat 'bracket'.
+   * Objects become bracket-style keys ('filter[color]=red'). null or undefined deletes the parameter.
+   * @param {string} name - Parameter name
+   * @param {*} value - Value
+   * @returns {UrlBuilder} New URL
+   */
+  set(name, value) {
+    return this.delete(name).append(name, value);
+  }
+
+  /**
+   * Add a query parameter value, keeping existing values (arrays and objects as in set())
+   * @param {string} name - Parameter name
+   * @param {*} value - Value
+   * @returns {UrlBuilder} New URL
+   */
+  append(name, value) {
+    return this.derive(url => appendQueryValue(url.searchParams, name, value, this.arrayFormat));
+  }
+
+  /**
+   * Delete a query parameter, including bracket-style keys, or only the pairs with a given value
+   * @param {string} name - Parameter name
+   * @param {string} value - Only delete pairs with this value (optional)
+   * @returns {UrlBuilder} New URL
+   */
+  delete(name, value) {
+    return this.derive(url => {
+      const kept = Array.from(url.searchParams.entries()).filter(([key, val]) => {
+        const isParam = key === name || key.startsWith(`${name}[`);
+        return !isParam || (value !== undefined && val !== String(value));
+      });
+      url.search = new URLSearchParams(kept).toString();
+    });
+  }
+
+  /**
+   * Get the query as an object. Repeated keys become arrays, and bracket-style keys become nested
+   * objects or arrays ('filter[color]=red' -> { filter: { color: 'red' } }).
+   * @returns {Object} Query parameters
+   */
+  params() {
+    return parseQueryParams(this.url.searchParams);
+  }
+
+  /**
+   * Get the query string, or replace the whole query with a string or object (see set())
+   * @param {string|Object} value - New query (optional)
+   * @returns {string|UrlBuilder} Query string without '?' if getting, new URL if setting
+   */
+  query(value) {
+    if (value === undefined) return this.url.search.slice(1);
+    if (typeof value === 'string') return this.derive(url => { url.search = value; });
+    return this.derive(url => {
+      url.search = '';
+      Object.keys(value).forEach(key => appendQueryValue(url.searchParams, key, value[key], this.arrayFormat));
+    });
+  }
+
+  /**
+   * Get the hash, or set it
+   * @param {string} value - New hash, with or without '#' (optional, '' removes it)
+   * @returns {string|UrlBuilder} Hash without '#' if getting, new URL if setting
+   */
+  hash(value) {
+    if (value === undefined) return decodeComponent(this.url.hash.slice(1));
+    return this.derive(url => { url.hash = value.replace(/^#/, ''); });
+  }
+
+  /**
+   * Get the pathname, or set it
+   * @param {string} value - New pathname (optional)
+   * @returns {string|UrlBuilder} Pathname if getting, new URL if setting
+   */
+  path(value) {
+    if (value === undefined) return this.url.pathname;
+    return this.derive(url => { url.pathname = value; });
+  }
+
+  /**
+   * Get the decoded path segments
+   * @returns {Array<string>} Segments ('/a/b/' -> ['a', 'b'])
+   */
+  segments() {
+    return this.url.pathname.split('/').filter(Boolean).map(decodeComponent);
+  }
+
+  /**
+   * Get a path segment, or set or remove it
+   * @param {number} index - Segment index (negative counts from the end)
+   * @param {string|null} value - New segment value, or null to remove the segment (optional)
+   * @returns {string|undefined|UrlBuilder} Segment if getting, new URL if setting
+   */
+  segment(index, value) {
+    const segments = this.segments();
+    const position = index < 0 ? segments.length + index : index;
+    if (value === undefined) return segments[position];
+
+    if (value === null) {
+      segments.splice(position, 1);
+    } else {
+      segments[position] = value;
+    }
+    const trailingSlash = this.url.pathname.length > 1 && this.url.pathname.endsWith('/') ? '/' : '';
+    return this.path(`/${segments.map(encodeURIComponent).join('/')}${trailingSlash}`);
+  }
+
+  /**
+   * Match the pathname (or the full URL, for patterns that don't start with '/') against a pattern
+   * `*` matches anything, `:name` captures a path segment, and `/:name?` is an optional segment.
+   * @param {string|RegExp} pattern - URL pattern, or RegExp with named groups
+   * @returns {Object|null} Decoded named captures, or null if the URL doesn't match
+   */
+  match(pattern) {
+    const isPathPattern = typeof pattern === 'string' && pattern.startsWith('/');
+    const regex = typeof pattern === 'string' ? compileUrlPattern(pattern) : pattern;
+    const result = regex.exec(isPathPattern ? this.url.pathname : this.url.href);
+    if (!result) return null;
+
+    const groups = {};
+    Object.keys(result.groups || {}).forEach(name => {
+      const value = result.groups[name];
+      groups[name] = value === undefined ? undefined : decodeComponent(value);
+    });
+    return groups;
+  }
+
+  /**
+   * Navigate to this URL without reloading, adding a history entry (through utils.updateURL)
+   * @returns {UrlBuilder} This URL
+   */
+  push() {
+    this.utils.updateURL(this.url.href);
+    return this;
+  }
+
+  /**
+   * Navigate to this URL without reloading, replacing the current history entry (through utils.updateURL)
+   * @returns {UrlBuilder} This URL
+   */
+  replace() {
+    this.utils.updateURL(this.url.href, true);
+    return this;
+  }
+}
+
+/**
+ * Append a query value. Arrays are appended as repeated or bracket-style keys, objects as nested
+ * bracket-style keys, and null/undefined are skipped.
+ * @param {URLSearchParams} searchParams - Params to append to
+ * @param {string} name - Parameter name
+ * @param {*} value - Value
+ * @param {string} arrayFormat - 'repeat' or 'bracket'
+ */
+function appendQueryValue(searchParams, name, value, arrayFormat) {
+  if (value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    const key = arrayFormat === 'bracket' ? `${name}[]` : name;
+    value.forEach(item => appendQueryValue(searchParams, key, item, arrayFormat));
+  } else if (typeof value === 'object') {
+    Object.keys(value).forEach(key => appendQueryValue(searchParams, `${name}[${key}]`, value[key], arrayFormat));
+  } else {
+    searchParams.append(name, value);
+  }
+}
+
+// Keys that would reach into Object.prototype if assigned with bracket syntax
+const UNSAFE_PARAM_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parse query params into an object. Repeated keys become arrays and bracket-style keys nest.
+ * Params with a __proto__, constructor or prototype key part are skipped.
+ * @param {URLSearchParams} searchParams - Params to parse
+ * @returns {Object} Parsed params
+ */
+function parseQueryParams(searchParams) {
+  const result = {};
+  const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  searchParams.forEach((value, key) => {
+    const match = key.match(/^([^[]+)((?:\[[^\]]*\])+)$/);
+    const path = match ? [match[1], ...match[2].slice(1, -1).split('][')] : [key];
+    if (path.some(part => UNSAFE_PARAM_KEYS.includes(part))) return;
+
+    if (!match) {
+      if (hasOwn(result, key)) {
+        result[key] = [].concat(result[key], value);
+      } else {
+        result[key] = value;
+      }
+      return;
+    }
+
+    let target = result;
+    path.every((part, i) => {
+      const isLast = i === path.length - 1;
+      const nextIsArray = !isLast && path[i + 1] === '';
+      if (part === '') {
+        // 'a=1&a[]=2' - a plain value can't take array items
+        if (!Array.isArray(target)) return false;
+        if (isLast) target.push(value);
+        else target = target[target.push(nextIsArray ? [] : {}) - 1];
+        return true;
+      }
+      if (isLast) {
+        target[part] = value;
+      } else {
+        if (!hasOwn(target, part) || typeof target[part] !== 'object' || target[part] === null) {
+          target[part] = nextIsArray ? [] : {};
+        }
+        target = target[part];
+      }
+      return true;
+    });
+  });
+
+  return result;
+}
+
+// Watchers registered through watch(), served by the shared selector observer's batches
+const watchers = new Set();
+
+/**
+ * Run a watch() callback, isolating errors so one watcher can't break the others
+ * @param {Function} callback - Callback (optional)
+ * @param {...*} args - Callback arguments
+ */
+function runWatchCallback(callback, ...args) {
+  if (!callback) return;
+  try {
+    callback(...args);
+  } catch (e) {
+    console.warn('watch() callback failed:', e);
+  }
+}
+
+/**
+ * Check whether an element was added in this batch, itself or inside an added subtree
+ * @param {Element} el - Element
+ * @param {Element} root - Subtree root being evaluated
+ * @param {Set<Node>} added - Nodes added in this batch
+ * @returns {boolean} True if the element is new
+ */
+function isNewlyAdded(el, root, added) {
+  for (let node = el; node; node = node.parentNode) {
+    if (added.has(node)) return true;
+    if (node === root) return false;
+  }
+  return false;
+}
+
+/**
+ * Re-evaluate a watcher's matches within a subtree
+ * @param {Object} watcher - Watcher
+ * @param {Element} root - Subtree root
+ * @param {Set<Node>} added - Nodes added in this batch; new matches inside them are reported to onAdd
+ * @param {boolean} checkUnmatched - Also report matched elements in the subtree that stopped matching
+ */
+function evaluateWatcherSubtree(watcher, root, added, checkUnmatched) {
+  const matches = Array.from(root.querySelectorAll(watcher.selector));
+  if (root.matches(watcher.selector)) matches.unshift(root);
+
+  matches.forEach(el => {
+    if (watcher.matched.has(el)) return;
+    watcher.matched.add(el);
+    if (isNewlyAdded(el, root, added)) {
+      runWatchCallback(watcher.onAdd, el);
+    } else {
+      runWatchCallback(watcher.onMatchChange, el, true);
+    }
+  });
+
+  if (!checkUnmatched) return;
+  watcher.matched.forEach(el => {
+    if (root.contains(el) && !el.matches(watcher.selector)) {
+      watcher.matched.delete(el);
+      runWatchCallback(watcher.onMatchChange, el, false);
+    }
+  });
+}
+
+/**
+ * Process one batch of the shared selector observer for every watcher
+ * Only added subtrees and changed elements are examined, never the whole document.
+ * @param {Array<Node>} roots - Top-level queued nodes
+ * @param {Object} batch - { nested, added, changed, hasRemovals } from flushSelectorRegistry()
+ */
+function processWatchBatch(roots, { nested, added, changed, hasRemovals }) {
+  Array.from(watchers).forEach(watcher => {
+    if (!watchers.has(watcher)) return; // Stopped by an earlier callback in this batch
+
+    if (hasRemovals) {
+      watcher.matched.forEach(el => {
+        if (!el.isConnected) {
+          watcher.matched.delete(el);
+          runWatchCallback(watcher.onRemove, el);
+        }
+      });
+    }
+
+    roots.forEach(root => {
+      // Watchers only follow the document, not shadow roots
+      if (root.nodeType !== Node.ELEMENT_NODE || !document.contains(root)) return;
+      observerStats.checks++;
+
+      if (changed.get(root) === 'attributes' && !added.has(root) && !nested.has(root) && !watcher.hasCombinator) {
+        // Simple selectors only depend on the element itself
+        const isMatch = root.matches(watcher.selector);
+        if (isMatch === watcher.matched.has(root)) return;
+        if (isMatch) {
+          watcher.matched.add(root);
+        } else {
+          watcher.matched.delete(root);
+        }
+        runWatchCallback(watcher.onMatchChange, root, isMatch);
+        return;
+      }
+
+      // Descendant and sibling combinators can change matches below (or beside) the root
+      const scope = watcher.hasSiblingCombinator && root.parentElement ? root.parentElement : root;
+      evaluateWatcherSubtree(watcher, scope, added, scope !== root || !added.has(root));
+    });
+  });
+}
+
+// Buttons that submit their form
+const SUBMIT_BUTTONS = 'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]';
+
+// Input types that aren't fields a user fills in
+const NON_FIELD_INPUT_TYPES = ['submit', 'button', 'reset', 'image', 'hidden'];
+
+/**
+ * Check whether an element is a form field a user fills in (not a button or hidden input)
+ * @param {Element} el - Element
+ * @returns {boolean} True if the element is a fillable field
+ */
+function isFormField(el) {
+  if (el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && !NON_FIELD_INPUT_TYPES.includes(el.type);
+}
+
+/**
+ * Get a stable name for a form field: its name, its id, or its tag and position in the form
+ * @param {Element} field - Form field
+ * @returns {string} Field name
+ */
+function getFieldName(field) {
+  if (field.name) return field.name;
+  if (field.id) return field.id;
+  const index = field.form ? Array.prototype.indexOf.call(field.form.elements, field) : -1;
+  return `${field.tagName.toLowerCase()}[${index}]`;
+}
+
+/**
+ * Group a form's named fields by name, in document order. Buttons and file inputs are skipped.
+ * @param {HTMLFormElement} form - Form
+ * @param {boolean} includeDisabled - Include disabled fields
+ * @returns {Map<string, Object>} Name -> { fields, kind }, kind being 'radio' (a radio group), 'checkbox'
+ *   (checkboxes, plus any hidden inputs that act as their unchecked fallback), 'single' or 'multiple'
+ */
+function getFieldGroups(form, includeDisabled) {
+  const groups = new Map();
+  Array.from(form.elements).forEach(field => {
+    const isHidden = field.tagName === 'INPUT' && field.type === 'hidden';
+    if (!field.name || (field.disabled && !includeDisabled) || !(isFormField(field) || isHidden) || field.type === 'file') return;
+    if (!groups.has(field.name)) groups.set(field.name, { fields: [] });
+    groups.get(field.name).fields.push(field);
+  });
+
+  groups.forEach(group => {
+    const { fields } = group;
+    const checkboxes = fields.filter(field => field.type === 'checkbox');
+    const hasOtherFields = fields.some(field => field.type !== 'checkbox' && field.type !== 'hidden');
+    if (fields.every(field => field.type === 'radio')) {
+      group.kind = 'radio';
+    } else if (checkboxes.length > 0 && !hasOtherFields) {
+      group.kind = 'checkbox';
+      group.checkboxes = checkboxes;
+    } else {
+      group.kind = fields.length === 1 ? 'single' : 'multiple';
+    }
+  });
+  return groups;
+}
+
+/**
+ * Set a property through the native prototype setter. Frameworks like React replace the instance's value
+ * setter to track changes, so assigning el.value directly is ignored by them.
+ * @param {Element} el - Element
+ * @param {string} property - Property name ('value', 'checked' or 'selected')
+ * @param {*} value - Value to set
+ */
+function setNativeProperty(el, property, value) {
+  let proto = Object.getPrototypeOf(el);
+  while (proto && !Object.getOwnPropertyDescriptor(proto, property)) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  const descriptor = proto && Object.getOwnPropertyDescriptor(proto, property);
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(el, value);
+  } else {
+    el[property] = value;
+  }
+}
+
+/**
+ * Check whether an element is contenteditable
+ * @param {Element} el - Element
+ * @returns {boolean} True if editable
+ */
+function isContentEditable(el) {
+  return !!el.isContentEditable || ['', 'true', 'plaintext-only'].includes(el.getAttribute('contenteditable'));
+}
+
+/**
+ * Get every radio button in the same group as a radio button
+ * @param {HTMLInputElement} radio - Radio button
+ * @returns {Array<HTMLInputElement>} Radio buttons in the group (just the radio itself if it has no name)
+ */
+function getRadioGroup(radio) {
+  if (!radio.name) return [radio];
+  const scope = radio.form || radio.getRootNode();
+  return Array.from(scope.querySelectorAll('input[type="radio"]'))
+    .filter(el => el.name === radio.name && (el.form || null) === (radio.form || null));
+}
+
+/**
+ * Read a field's value: a boolean for checkboxes, the group's checked value for radio buttons,
+ * an array for multi-selects and the text of contenteditable elements
+ * @param {Element} el - Element
+ * @returns {string|boolean|Array<string>} Value
+ */
+function readValue(el) {
+  if (el.type === 'checkbox') return el.checked;
+  if (el.type === 'radio') {
+    const checked = getRadioGroup(el).find(radio => radio.checked);
+    return checked ? checked.value : '';
+  }
+  if (el.tagName === 'SELECT' && el.multiple) {
+    return Array.from(el.options).filter(option => option.selected).map(option => option.value);
+  }
+  if (el.value === undefined && isContentEditable(el)) return el.textContent;
+  return el.value || '';
+}
+
+/**
+ * Write a field's value and fire the events frameworks listen for
+ * Checkboxes take a boolean (or a value, or array of values, to be checked); radio buttons take the value of the
+ * button to check in the group (or '' to clear it); selects match options by value and then by text;
+ * multi-selects take an array.
+ * @param {Element} el - Element
+ * @param {*} value - Value to write
+ */
+function writeValue(el, value) {
+  const fireEvents = (target) => {
+    target.dispatchEvent(new Event('input', { bubbles: true }));
+    target.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  // Toggle checkboxes and radios with a click, which React listens to instead of input/change
+  const setChecked = (target, checked) => {
+    if (target.checked === checked) return;
+    if (checked || target.type === 'checkbox') {
+      target.click();
+    } else {
+      // A click can't uncheck a radio button
+      setNativeProperty(target, 'checked', false);
+      fireEvents(target);
+    }
+  };
+
+  if (el.type === 'checkbox') {
+    const checked = Array.isArray(value) ? value.map(String).includes(el.value) :
+      typeof value === 'boolean' ? value : String(value) === el.value;
+    setChecked(el, checked);
+    return;
+  }
+
+  if (el.type === 'radio') {
+    if (typeof value === 'boolean') {
+      setChecked(el, value);
+      return;
+    }
+    const group = getRadioGroup(el);
+    const target = group.find(radio => radio.value === String(value));
+    if (target) {
+      setChecked(target, true);
+    } else if (value === '' || value === null) {
+      group.forEach(radio => setChecked(radio, false));
+    }
+    return;
+  }
+
+  if (el.tagName === 'SELECT') {
+    const wanted = (Array.isArray(value) ? value : [value]).map(String);
+    const options = Array.from(el.options);
+    const matches = option => wanted.includes(option.value) || wanted.includes(option.text.trim());
+    if (el.multiple) {
+      options.forEach(option => setNativeProperty(option, 'selected', matches(option)));
+    } else {
+      const option = options.find(opt => wanted.includes(opt.value)) || options.find(opt => wanted.includes(opt.text.trim()));
+      setNativeProperty(el, 'selectedIndex', option ? option.index : -1);
+    }
+    fireEvents(el);
+    return;
+  }
+
+  if (el.value === undefined && isContentEditable(el)) {
+    el.textContent = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    return;
+  }
+
+  setNativeProperty(el, 'value', value);
+  fireEvents(el);
+}
+
 export default {
+  /**
+   * Error class used to reject wait helpers that exceed their timeout
+   */
+  TimeoutError: TimeoutError,
+
+  /**
+   * Error class used to reject wait helpers cancelled through an AbortSignal
+   */
+  AbortError: AbortError,
+
   /**
    * Wait for the first element matching the selector to appear in the DOM
    * Note: This only matches the first element. Use waitForElements() to match all elements.
    * @param {string|Element} selector - CSS selector or element
-   * @returns {Promise<Element>} Promise that resolves with the first matching element (waits indefinitely)
+   * @param {Object} options - Options object
+   * @param {number} options.timeout - Reject with utils.TimeoutError after this many milliseconds (optional, waits indefinitely by default)
+   * @param {AbortSignal} options.signal - Reject with utils.AbortError when this signal aborts (optional)
+   * @param {Document|Element} options.context - Context to search within (default: document)
+   * @param {boolean} options.pierce - Also search open shadow roots and same-origin iframes (default: false).
+   *   The 'host >>> inner' selector syntax pierces the named hosts without this option.
+   * @returns {Promise<Element>} Promise that resolves with the first matching element
    * @example
    * utils.waitForElement('.product-card').then(element => {
    *   element.style.border = '2px solid red';
    * });
+   *
+   * @example
+   * // Wait for a button inside a web component's shadow root
+   * utils.waitForElement('checkout-form >>> button[type="submit"]');
+   *
+   * @example
+   * // Give up after 5 seconds
+   * utils.waitForElement('.product-card', { timeout: 5000 }).catch(error => {
+   *   if (error instanceof utils.TimeoutError) console.log('Card never rendered');
+   * });
    */
-  waitForElement: function(selector) {
-    return new Promise((resolve) => {
+  waitForElement: function(selector, options = {}) {
+    const { context = document, pierce = false } = options;
+
+    return createWaiter(options, `element "${selector}"`, (resolve, reject, onCleanup) => {
       // If selector is already an element, return it immediately
       if (selector instanceof Element) {
         resolve(selector);
@@ -21,42 +2018,61 @@ export default {
       }
 
       // Check if element already exists
-      const element = document.querySelector(selector);
+      const element = queryOne(selector, context, pierce);
       if (element) {
         resolve(element);
         return;
       }
 
-      // Set up MutationObserver to watch for element
-      const observer = new MutationObserver((mutations, obs) => {
-        const element = document.querySelector(selector);
-        if (element) {
-          obs.disconnect();
-          resolve(element);
-        }
-      });
+      // Shadow roots and iframes need their own observers; everything else shares the registry
+      if (isPiercing(selector, pierce)) {
+        onCleanup(observeTree(context, true, () => {
+          const element = queryOne(selector, context, pierce);
+          if (element) {
+            resolve(element);
+          }
+        }));
+        return;
+      }
 
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
+      // Resolve with the first match in document order, which may not be the first one added
+      onCleanup(registerSelector(selector, context, 'waitForElement', () => {
+        resolve(queryOne(selector, context));
+      }));
     });
   },
 
   /**
    * Wait until a condition function returns true
    * @param {Function} condition - Function that returns a boolean
-   * @param {number} interval - Check interval in milliseconds (default: 100)
-   * @returns {Promise} Promise that resolves when condition is met (waits indefinitely)
+   * @param {number|Object} options - Check interval in milliseconds, or an options object
+   * @param {number} options.interval - Check interval in milliseconds (default: 100)
+   * @param {number} options.timeout - Reject with utils.TimeoutError after this many milliseconds (optional, waits indefinitely by default)
+   * @param {AbortSignal} options.signal - Reject with utils.AbortError when this signal aborts (optional)
+   * @param {*} options.context - Value passed as `this` to the condition (optional)
+   * @returns {Promise} Promise that resolves when condition is met, or rejects if the condition throws
+   * @example
+   * utils.waitUntil(() => window.dataLayer, { interval: 50, timeout: 3000 });
    */
-  waitUntil: function(condition, interval = 100) {
-    return new Promise((resolve, reject) => {
+  waitUntil: function(condition, options = {}) {
+    const settings = typeof options === 'number' ? { interval: options } : options;
+    const { interval = 100, context } = settings;
+
+    return createWaiter(settings, 'condition', (resolve, reject, onCleanup) => {
+      let timeoutId = null;
+      let stopped = false;
+      onCleanup(() => {
+        stopped = true;
+        clearTimeout(timeoutId);
+      });
+
       const checkCondition = () => {
+        if (stopped) return;
         try {
-          if (condition()) {
+          if (condition.call(context)) {
             resolve();
           } else {
-            setTimeout(checkCondition, interval);
+            timeoutId = setTimeout(checkCondition, interval);
           }
         } catch (error) {
           reject(error);
@@ -70,34 +2086,187 @@ export default {
   /**
    * Get a cookie value by name
    * @param {string} name - Cookie name
-   * @returns {string|null} Cookie value or null if not found
+   * @param {Object} options - Options object
+   * @param {boolean} options.json - Parse the value as JSON (default: false)
+   * @returns {string|*|null} Decoded cookie value (parsed if options.json) or null if not found
    */
-  getCookie: function(name) {
-    const value = `; ${document.cookie}`;
-    const parts = value.split(`; ${name}=`);
-    if (parts.length === 2) {
-      return parts.pop().split(';').shift();
+  getCookie: function(name, options = {}) {
+    const cookies = parseCookies();
+    if (!(name in cookies)) return null;
+    if (!options.json) return cookies[name];
+    try {
+      return JSON.parse(cookies[name]);
+    } catch (e) {
+      return null;
     }
-    return null;
   },
 
   /**
    * Set a cookie
+   * The value is URL-encoded; non-string values are stored as JSON (read them back with getCookie(name, { json: true })).
    * @param {string} name - Cookie name
-   * @param {string} value - Cookie value
-   * @param {number} days - Number of days until expiration (default: 365)
+   * @param {*} value - Cookie value
+   * @param {number|Object} days - Number of days until expiration (default: 365), or an options object
+   * @param {number} days.days - Number of days until expiration (default: 365)
+   * @param {number} days.maxAge - Lifetime in seconds, instead of days (optional)
+   * @param {Date} days.expires - Expiry date, instead of days (optional)
+   * @param {boolean} days.session - Set a session cookie with no expiry (default: false)
+   * @param {string} days.path - Cookie path (default: '/')
+   * @param {string} days.domain - Cookie domain, or 'auto' for the registrable domain from getRootDomain() (optional)
+   * @param {string} days.sameSite - 'Lax', 'Strict' or 'None' (optional; 'None' also sets Secure)
+   * @param {boolean} days.secure - Only send over HTTPS (default: false)
    * @param {string} path - Cookie path (default: '/')
    * @param {string} domain - Cookie domain (optional)
+   * @example
+   * utils.setCookie('exp_seen', { id: 42, variant: 'b' }, { days: 30, domain: 'auto', sameSite: 'Lax', secure: true });
    */
   setCookie: function(name, value, days = 365, path = '/', domain = '') {
-    const expires = new Date();
-    expires.setTime(expires.getTime() + (days * 24 * 60 * 60 * 1000));
-    const domainStr = domain ? `domain=${domain};` : '';
-    document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=${path};${domainStr}`;
+    const options = typeof days === 'object' && days !== null ? days : { days, path, domain };
+    const {
+      days: lifetimeDays = 365,
+      maxAge = null,
+      expires = null,
+      session = false,
+      path: cookiePath = '/',
+      domain: cookieDomain = '',
+      sameSite = null,
+      secure = false
+    } = options;
+
+    const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+    const parts = [`${encodeURIComponent(name)}=${encodeCookieValue(stringValue)}`];
+
+    if (maxAge !== null) {
+      parts.push(`max-age=${maxAge}`);
+    } else if (!session) {
+      const expiryDate = expires ? new Date(expires) : new Date(Date.now() + (lifetimeDays * 24 * 60 * 60 * 1000));
+      parts.push(`expires=${expiryDate.toUTCString()}`);
+    }
+
+    parts.push(`path=${cookiePath}`);
+    const resolvedDomain = cookieDomain === 'auto' ? this.getRootDomain() : cookieDomain;
+    if (resolvedDomain) parts.push(`domain=${resolvedDomain}`);
+    if (sameSite) parts.push(`SameSite=${sameSite}`);
+    if (secure || (sameSite && sameSite.toLowerCase() === 'none')) parts.push('Secure');
+
+    document.cookie = parts.join(';');
+  },
+
+  /**
+   * Get all cookies as an object
+   * @returns {Object} Object of cookie name -> decoded value
+   */
+  getAllCookies: function() {
+    return { ...parseCookies() };
+  },
+
+  /**
+   * Delete a cookie
+   * Without a path or domain, the cookie is deleted for every combination of the current path and its
+   * parents with the host and each parent domain, since a cookie can only be removed with the path and
+   * domain it was set with.
+   * @param {string} name - Cookie name
+   * @param {Object} options - Options object
+   * @param {string} options.path - Cookie path (optional)
+   * @param {string} options.domain - Cookie domain (optional)
+   * @example
+   * utils.deleteCookie('exp_seen');
+   */
+  deleteCookie: function(name, options = {}) {
+    const segments = window.location.pathname.split('/').filter(Boolean);
+    const paths = options.path
+      ? [options.path]
+      : ['/', ...segments.map((segment, i) => `/${segments.slice(0, i + 1).join('/')}`)];
+
+    const labels = window.location.hostname.split('.');
+    const domains = options.domain
+      ? [options.domain]
+      : ['', ...labels.map((label, i) => labels.slice(i).join('.')).filter(domain => domain.includes('.'))];
+
+    paths.forEach(path => {
+      domains.forEach(domain => {
+        const domainStr = domain ? `;domain=${domain}` : '';
+        document.cookie = `${encodeURIComponent(name)}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=${path}${domainStr}`;
+      });
+    });
+  },
+
+  /**
+   * Get the top-level registrable domain (e.g. 'example.co.uk' on 'shop.example.co.uk'), so cookies can
+   * span subdomains. Found by setting a test cookie on each parent domain: browsers refuse cookies on public suffixes.
+   * @returns {string} Registrable domain, or the hostname for IP addresses and single-label hosts
+   */
+  getRootDomain: function() {
+    const hostname = window.location.hostname;
+    if (rootDomainCache && rootDomainCache.hostname === hostname) return rootDomainCache.domain;
+
+    let domain = hostname;
+    const labels = hostname.split('.');
+    const isIP = /^[\d.]+$/.test(hostname) || hostname.includes(':');
+
+    if (!isIP && labels.length > 1) {
+      const testName = '__eli_root_domain__';
+      for (let i = labels.length - 2; i >= 0; i--) {
+        const candidate = labels.slice(i).join('.');
+        document.cookie = `${testName}=1;path=/;domain=${candidate}`;
+        const accepted = document.cookie.includes(`${testName}=1`);
+        document.cookie = `${testName}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;domain=${candidate}`;
+        if (accepted) {
+          domain = candidate;
+          break;
+        }
+      }
+    }
+
+    rootDomainCache = { hostname, domain };
+    return domain;
+  },
+
+  /**
+   * Listen for cookie changes
+   * Uses the CookieStore API where available, and otherwise checks document.cookie at an interval.
+   * @param {Function} callback - Callback function that receives (name, value), with value null when deleted
+   * @param {Object} options - Options object
+   * @param {string} options.name - Only report changes to this cookie (optional)
+   * @param {number} options.interval - Polling interval in milliseconds without CookieStore (default: 1000)
+   * @returns {Function} Function to stop listening
+   * @example
+   * const stop = utils.onCookieChange((name, value) => {
+   *   console.log('Consent changed:', value);
+   * }, { name: 'cookie_consent' });
+   */
+  onCookieChange: function(callback, options = {}) {
+    const { name = null, interval = 1000 } = options;
+    const report = (cookieName, value) => {
+      if (name === null || cookieName === name) callback(cookieName, value);
+    };
+
+    if (window.cookieStore && typeof window.cookieStore.addEventListener === 'function') {
+      const handleChange = (e) => {
+        e.changed.forEach(cookie => report(cookie.name, decodeComponent(cookie.value)));
+        e.deleted.forEach(cookie => report(cookie.name, null));
+      };
+      window.cookieStore.addEventListener('change', handleChange);
+      return () => window.cookieStore.removeEventListener('change', handleChange);
+    }
+
+    let previous = parseCookies();
+    const intervalId = setInterval(() => {
+      const current = parseCookies();
+      Object.keys(current).forEach(key => {
+        if (current[key] !== previous[key]) report(key, current[key]);
+      });
+      Object.keys(previous).forEach(key => {
+        if (!(key in current)) report(key, null);
+      });
+      previous = current;
+    }, interval);
+    return () => clearInterval(intervalId);
   },
 
   /**
    * Get a URL query parameter value
+   * Note: Use utils.url() to read repeated or bracket-style parameters.
    * @param {string} name - Parameter name
    * @param {string} url - Optional URL (defaults to current window location)
    * @returns {string|null} Parameter value or null if not found
@@ -123,47 +2292,91 @@ export default {
 
   /**
    * Select a single element
-   * @param {string} selector - CSS selector
-   * @param {Element} context - Context element (defaults to document)
+   * @param {string} selector - CSS selector, may use 'host >>> inner' to step into shadow roots and iframes
+   * @param {Element|Object} context - Context element (defaults to document), or an options object
+   * @param {Document|Element} context.context - Context element (defaults to document)
+   * @param {boolean} context.pierce - Also search open shadow roots and same-origin iframes (default: false)
    * @returns {Element|null} Element or null if not found
+   * @example
+   * const total = utils.select('.order-total', { pierce: true });
    */
   select: function(selector, context = document) {
-    return context.querySelector(selector);
+    const settings = context.nodeType ? { context } : context;
+    const { context: root = document, pierce = false } = settings;
+    return queryOne(selector, root, pierce);
+  },
+
+  /**
+   * Wrap every matching element in a chainable collection
+   * Element helpers (addClass, setText, setAttr, setStyle, on, hide, append, etc.) apply to every element and
+   * return the collection. Getters (getText, getAttr, hasClass, etc.) read the first element.
+   * @param {string|Element|NodeList|Array<Element>} selector - CSS selector (may use '>>>'), element, or list of elements
+   * @param {Element} context - Context element for selectors (defaults to document)
+   * @returns {ElementCollection} Collection with each(), filter(), first(), find(), get() and toArray()
+   * @example
+   * utils.$('.product-card')
+   *   .addClass('variant-b')
+   *   .setStyle({ borderRadius: '8px' })
+   *   .filter('.on-sale')
+   *   .each(card => utils.prepend(card, utils.createElement('span', { class: 'badge' }, 'Sale')));
+   */
+  $: function(selector, context = document) {
+    let elements;
+    if (selector instanceof ElementCollection) {
+      elements = selector.toArray();
+    } else if (typeof selector === 'string') {
+      elements = Array.from(queryAll(selector, context));
+    } else if (selector && selector.nodeType) {
+      elements = [selector];
+    } else {
+      elements = Array.from(selector || []);
+    }
+    return new ElementCollection(this, elements);
   },
 
   /**
    * Wait for all elements matching the selector to appear in the DOM
    * Note: This matches all elements. Use waitForElement() to match only the first element.
    * @param {string} selector - CSS selector
-   * @param {Element} context - Context element (defaults to document)
-   * @returns {Promise<NodeList>} Promise that resolves with all matching elements (waits indefinitely)
+   * @param {Document|Element|Object} options - Context element, or an options object
+   * @param {number} options.timeout - Reject with utils.TimeoutError after this many milliseconds (optional, waits indefinitely by default)
+   * @param {AbortSignal} options.signal - Reject with utils.AbortError when this signal aborts (optional)
+   * @param {Document|Element} options.context - Context to search within (default: document)
+   * @param {boolean} options.pierce - Also search open shadow roots and same-origin iframes (default: false).
+   *   The 'host >>> inner' selector syntax pierces the named hosts without this option.
+   * @returns {Promise<NodeList|Array<Element>>} Promise that resolves with all matching elements (an Array when piercing)
    * @example
    * utils.waitForElements('.product-card').then(elements => {
    *   elements.forEach(card => card.style.border = '2px solid red');
    * });
    */
-  waitForElements: function(selector, context = document) {
-    return new Promise((resolve) => {
+  waitForElements: function(selector, options = {}) {
+    // Support the original (selector, context) signature
+    const settings = options && options.nodeType ? { context: options } : options;
+    const { context = document, pierce = false } = settings;
+
+    return createWaiter(settings, `elements "${selector}"`, (resolve, reject, onCleanup) => {
       // Check if elements already exist
-      const elements = context.querySelectorAll(selector);
+      const elements = queryAll(selector, context, pierce);
       if (elements.length > 0) {
         resolve(elements);
         return;
       }
 
-      // Set up MutationObserver to watch for elements
-      const observer = new MutationObserver((mutations, obs) => {
-        const foundElements = context.querySelectorAll(selector);
-        if (foundElements.length > 0) {
-          obs.disconnect();
-          resolve(foundElements);
-        }
-      });
+      // Shadow roots and iframes need their own observers; everything else shares the registry
+      if (isPiercing(selector, pierce)) {
+        onCleanup(observeTree(context, true, () => {
+          const foundElements = queryAll(selector, context, pierce);
+          if (foundElements.length > 0) {
+            resolve(foundElements);
+          }
+        }));
+        return;
+      }
 
-      observer.observe(context === document ? document.body : context, {
-        childList: true,
-        subtree: true
-      });
+      onCleanup(registerSelector(selector, context, 'waitForElements', () => {
+        resolve(queryAll(selector, context));
+      }));
     });
   },
 
@@ -174,7 +2387,9 @@ export default {
    */
   addClass: function(element, className) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.classList.add(className);
+    if (!el) return;
+    recordChange('addClass', el, () => classUndo(el, className));
+    el.classList.add(className);
   },
 
   /**
@@ -184,7 +2399,9 @@ export default {
    */
   removeClass: function(element, className) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.classList.remove(className);
+    if (!el) return;
+    recordChange('removeClass', el, () => classUndo(el, className));
+    el.classList.remove(className);
   },
 
   /**
@@ -194,7 +2411,9 @@ export default {
    */
   toggleClass: function(element, className) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.classList.toggle(className);
+    if (!el) return;
+    recordChange('toggleClass', el, () => classUndo(el, className));
+    el.classList.toggle(className);
   },
 
   /**
@@ -216,7 +2435,9 @@ export default {
    */
   on: function(element, event, handler) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.addEventListener(event, handler);
+    if (!el) return;
+    recordChange('on', el, () => () => el.removeEventListener(event, handler));
+    el.addEventListener(event, handler);
   },
 
   /**
@@ -232,20 +2453,300 @@ export default {
 
   /**
    * Event delegation - attach event to parent, handle on children
-   * @param {Element|string} parent - Parent element or selector
+   * Only elements inside the parent count as matches, so ancestors of the parent never trigger the handler.
+   * @param {Element|Document|string} parent - Parent element or selector
    * @param {string} selector - Child selector to match
    * @param {string} event - Event name
-   * @param {Function} handler - Event handler
+   * @param {Function} handler - Event handler, receives (event, matchedElement)
+   * @param {Object|boolean} options - addEventListener options, e.g. { capture: true } (optional)
+   * @returns {Function} Function to remove the listener
    */
-  delegate: function(parent, selector, event, handler) {
+  delegate: function(parent, selector, event, handler, options) {
     const parentEl = typeof parent === 'string' ? document.querySelector(parent) : parent;
-    if (parentEl) {
-      parentEl.addEventListener(event, (e) => {
-        if (e.target.matches(selector) || e.target.closest(selector)) {
-          handler(e);
-        }
-      });
+    if (!parentEl) return () => {};
+
+    const listener = (e) => {
+      const target = e.target instanceof Element ? e.target : e.target.parentElement;
+      const match = target ? target.closest(selector) : null;
+      if (match && match !== parentEl && parentEl.contains(match)) {
+        handler(e, match);
+      }
+    };
+
+    recordChange('delegate', parentEl, () => () => parentEl.removeEventListener(event, listener, options));
+    parentEl.addEventListener(event, listener, options);
+    return () => parentEl.removeEventListener(event, listener, options);
+  },
+
+  /**
+   * Record a goal conversion
+   * The conversion is dispatched as an 'eli:goal' CustomEvent on document (through triggerEvent) with
+   * detail { goal, ...props }, and sent to analytics destinations through track().
+   * @param {string} goalName - Goal name
+   * @param {Object} props - Extra properties to send with the conversion
+   * @param {Object} options - Options object
+   * @param {string|boolean} options.once - 'session' or 'page' to convert at most once per session or
+   *   page view, false to convert every time (default: false)
+   * @returns {boolean} True if the conversion was recorded, false if the goal had already converted
+   * @example
+   * utils.trackGoal('newsletter_signup', { placement: 'footer' }, { once: 'session' });
+   *
+   * document.addEventListener('eli:goal', (e) => console.log('Converted:', e.detail.goal));
+   */
+  trackGoal: function(goalName, props = {}, options = {}) {
+    const { once = false } = options;
+    const sessionKey = `eli_goal_${goalName}`;
+
+    if (once === 'session' && this.getSessionStorage(sessionKey)) return false;
+    if (once === 'page' && convertedGoals.has(goalName)) return false;
+
+    if (once === 'session') this.setSessionStorage(sessionKey, '1');
+    convertedGoals.add(goalName);
+
+    this.triggerEvent('eli:goal', { goal: goalName, ...props });
+    this.track(goalName, props);
+    return true;
+  },
+
+  /**
+   * Track clicks on all current and future elements matching the selector as a goal
+   * Uses delegation, so it keeps working when a framework re-renders the matched elements.
+   * Each conversion includes the clicked element's text (trimmed, up to 100 characters), its index among
+   * all elements matching the selector, and its top/left offset in the document.
+   * @param {string} selector - CSS selector of clickable elements
+   * @param {string} goalName - Goal name
+   * @param {Object} options - Options object
+   * @param {string|boolean} options.once - 'session', 'page' or false (default: false, see trackGoal)
+   * @param {Element|Document|string} options.parent - Element to delegate from (default: document)
+   * @param {Object} options.props - Extra properties to send with each conversion (optional)
+   * @returns {Function} Function to stop tracking
+   * @example
+   * const stop = utils.trackClicks('.add-to-cart', 'add_to_cart', { once: 'page' });
+   */
+  trackClicks: function(selector, goalName, options = {}) {
+    const { once = false, parent = document, props = {} } = options;
+
+    return this.delegate(parent, selector, 'click', (e, element) => {
+      const offset = this.getOffset(element);
+      this.trackGoal(goalName, {
+        ...props,
+        text: (element.textContent || '').trim().slice(0, 100),
+        index: Array.prototype.indexOf.call(document.querySelectorAll(selector), element),
+        top: Math.round(offset.top),
+        left: Math.round(offset.left)
+      }, { once });
+    });
+  },
+
+  /**
+   * Call a function when the user looks about to leave the page
+   * On desktop, fires when the cursor leaves the window toward the top. On mobile and tablet, fires on a fast
+   * scroll back up. With `backButton`, also fires when the user presses back (an extra history entry
+   * with the same URL is pushed to catch it, and removed again when detection stops). A back press during
+   * `delay` restores the entry instead of firing. Once the back button has fired, later back presses leave
+   * the page normally.
+   * @param {Function} callback - Callback function that receives (type, event), type being 'mouse', 'scroll' or 'back'
+   * @param {Object} options - Options object
+   * @param {number} options.threshold - Desktop: how close to the top edge (px) the cursor must leave (default: 20)
+   * @param {number} options.scrollSpeed - Mobile: upward scroll speed (px per ms) that counts as exit intent (default: 1.5)
+   * @param {boolean} options.backButton - Also detect the back button (default: false)
+   * @param {number} options.delay - Ignore exit intent for this many milliseconds after calling (default: 2000)
+   * @param {boolean} options.once - Only fire once (default: true)
+   * @returns {Function} Function to stop detecting
+   * @example
+   * utils.onExitIntent(type => {
+   *   utils.show('.exit-offer');
+   *   utils.track('exit_intent', { type });
+   * }, { backButton: true });
+   */
+  onExitIntent: function(callback, options = {}) {
+    const {
+      threshold = 20,
+      scrollSpeed = 1.5,
+      backButton = false,
+      delay = 2000,
+      once = true
+    } = options;
+    const armedAt = Date.now() + delay;
+    const isTouch = this.getDeviceType() !== 'desktop';
+    let stopped = false;
+
+    const fire = (type, event) => {
+      if (stopped || Date.now() < armedAt) return;
+      if (once) stop();
+      callback(type, event);
+    };
+
+    const handleMouseOut = (e) => {
+      if (!e.relatedTarget && e.clientY <= threshold) fire('mouse', e);
+    };
+
+    let lastY = window.pageYOffset;
+    let lastTime = Date.now();
+    const handleScroll = this.throttle((e) => {
+      const y = window.pageYOffset;
+      const now = Date.now();
+      const speed = (lastY - y) / Math.max(1, now - lastTime);
+      lastY = y;
+      lastTime = now;
+      if (speed >= scrollSpeed) fire('scroll', e);
+    }, 100);
+
+    // Back button: an extra history entry with the same URL; pressing back pops it without leaving the page
+    let guardOnTop = false;
+    const pushGuard = () => {
+      history.pushState({ eliExitIntent: true }, '', window.location.href);
+      guardOnTop = true;
+    };
+    const handlePopState = (e) => {
+      if (history.state && history.state.eliExitIntent) {
+        // Forward button back onto the guard entry
+        guardOnTop = true;
+        return;
+      }
+      if (!guardOnTop) return;
+      guardOnTop = false;
+      if (Date.now() < armedAt) {
+        // Too early to count, so restore the entry for the next back press
+        pushGuard();
+        return;
+      }
+      fire('back', e);
+    };
+
+    if (isTouch) {
+      this.on(window, 'scroll', handleScroll);
+    } else {
+      this.on(document, 'mouseout', handleMouseOut);
     }
+    if (backButton) {
+      pushGuard();
+      this.on(window, 'popstate', handlePopState);
+    }
+
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      this.off(window, 'scroll', handleScroll);
+      this.off(document, 'mouseout', handleMouseOut);
+      this.off(window, 'popstate', handlePopState);
+      // Remove the guard entry so the next back press leaves the page
+      if (guardOnTop && history.state && history.state.eliExitIntent) {
+        guardOnTop = false;
+        history.back();
+      }
+    };
+    return stop;
+  },
+
+  /**
+   * Call a function when the user rage-clicks: clicks the same element repeatedly in quick succession
+   * Uses delegation, so it works for current and future elements.
+   * @param {string} selector - CSS selector of elements to watch (optional; omit it to watch any element)
+   * @param {Function} callback - Callback function that receives (element, clicks, event)
+   * @param {Object} options - Options object
+   * @param {number} options.clicks - Clicks that count as a rage click (default: 3)
+   * @param {number} options.window - Milliseconds the clicks must happen within (default: 1000)
+   * @param {number} options.radius - Maximum distance (px) between the clicks (default: 30)
+   * @returns {Function} Function to stop detecting
+   * @example
+   * utils.onRageClick('.add-to-cart', (button, clicks) => {
+   *   utils.track('rage_click', { text: button.textContent, clicks });
+   * }, { clicks: 4, window: 1500 });
+   */
+  onRageClick: function(selector, callback, options = {}) {
+    if (typeof selector === 'function') return this.onRageClick('*', selector, callback);
+    const { clicks = 3, window: timeWindow = 1000, radius = 30 } = options;
+    let burst = [];
+    let burstElement = null;
+
+    return this.delegate(document, selector, 'click', (e, element) => {
+      const now = Date.now();
+      const first = burst[0];
+      const isSameBurst = element === burstElement && first &&
+        now - first.time <= timeWindow &&
+        Math.hypot(e.clientX - first.x, e.clientY - first.y) <= radius;
+
+      if (!isSameBurst) {
+        burst = [];
+        burstElement = element;
+      }
+      burst.push({ time: now, x: e.clientX, y: e.clientY });
+
+      if (burst.length === clicks) {
+        callback(element, clicks, e);
+      }
+    });
+  },
+
+  /**
+   * Call a function when the user clicks an element and nothing happens: no DOM change nearby and no navigation
+   * within the timeout. Clicks on form fields and clicks that select text are ignored.
+   * Changes count as a response when they are inside the clicked element's grandparent, add or remove children
+   * of <body> (modals, overlays), or change attributes of <html> or <body> (e.g. a modal-open class). Changes
+   * elsewhere, like a carousel or clock ticking, are ignored; a response further away is reported as a dead click.
+   * Uses delegation, so it works for current and future elements.
+   * @param {string} selector - CSS selector of elements to watch (optional; omit it to watch any element)
+   * @param {Function} callback - Callback function that receives (element, event)
+   * @param {Object} options - Options object
+   * @param {number} options.timeout - Milliseconds to wait for a response (default: 1000)
+   * @returns {Function} Function to stop detecting
+   * @example
+   * utils.onDeadClick('.product-image, .price', (element) => {
+   *   utils.track('dead_click', { text: element.textContent.trim().slice(0, 100) });
+   * });
+   */
+  onDeadClick: function(selector, callback, options = {}) {
+    if (typeof selector === 'function') return this.onDeadClick('*', selector, callback);
+    const { timeout = 1000 } = options;
+    const pending = new Set();
+
+    // Capture phase, so observing starts before the page's own click handlers can respond
+    const stopDelegating = this.delegate(document, selector, 'click', (e, element) => {
+      if (element.closest('input, select, textarea, option, label')) return;
+      const selection = window.getSelection ? window.getSelection() : null;
+      if (selection && !selection.isCollapsed) return;
+
+      const href = window.location.href;
+      let responded = false;
+      const observer = new MutationObserver(() => {
+        responded = true;
+      });
+      // Observe <html> and <body> first: observing a node again replaces its options, and the
+      // surroundings may be <body> itself
+      observer.observe(document.documentElement, { attributes: true });
+      if (document.body) observer.observe(document.body, { childList: true, attributes: true });
+      const parent = element.parentElement || element;
+      observer.observe(parent.parentElement || parent, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+      const onLeave = () => {
+        responded = true;
+      };
+      window.addEventListener('pagehide', onLeave);
+
+      const check = {
+        cancel: () => {
+          clearTimeout(check.timeoutId);
+          observer.disconnect();
+          window.removeEventListener('pagehide', onLeave);
+          pending.delete(check);
+        },
+        timeoutId: setTimeout(() => {
+          check.cancel();
+          if (!responded && window.location.href === href) callback(element, e);
+        }, timeout)
+      };
+      pending.add(check);
+    }, { capture: true });
+
+    return () => {
+      stopDelegating();
+      pending.forEach(check => check.cancel());
+    };
   },
 
   /**
@@ -308,6 +2809,7 @@ export default {
    *   - 'attributeFilter' - Array of attribute names to observe (only these attributes will trigger)
    * @param {number} options.timeout - Timeout in milliseconds (optional)
    * @param {Function} options.onTimeout - Function to call on timeout (optional)
+   * @param {boolean} options.pierce - Also find elements inside open shadow roots and same-origin iframes (default: false)
    * @returns {Function} Function to stop observing
    * 
    * @example
@@ -337,7 +2839,8 @@ export default {
       mutations = ['childList', 'attributes', 'subtree'],
       timeout = null,
       onTimeout = null,
-      attributeFilter = null
+      attributeFilter = null,
+      pierce = false
     } = options;
 
     // Build MutationObserver options
@@ -357,9 +2860,10 @@ export default {
     let observer = null;
     let timeoutId = null;
     let isStopped = false;
+    const waitController = new AbortController();
 
     // Get or wait for element
-    const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
+    const element = typeof selector === 'string' ? queryOne(selector, document, pierce) : selector;
     
     function startObserving(el) {
       if (!el || isStopped) return;
@@ -383,6 +2887,7 @@ export default {
 
     function stopObserving() {
       isStopped = true;
+      waitController.abort();
       if (observer) {
         observer.disconnect();
         observer = null;
@@ -398,11 +2903,11 @@ export default {
       startObserving(element);
     } else if (typeof selector === 'string') {
       // Element doesn't exist yet, wait for it
-      this.waitForElement(selector).then(el => {
+      this.waitForElement(selector, { signal: waitController.signal, pierce }).then(el => {
         if (!isStopped) {
           startObserving(el);
         }
-      });
+      }, () => {});
     }
 
     return stopObserving;
@@ -426,6 +2931,7 @@ export default {
    *   - 'attributeFilter' - Array of attribute names to observe (only these attributes will trigger)
    * @param {number} options.timeout - Timeout in milliseconds (optional)
    * @param {Function} options.onTimeout - Function to call on timeout (optional)
+   * @param {boolean} options.pierce - Also find elements inside open shadow roots and same-origin iframes (default: false)
    * @returns {Function} Function to stop observing
    * 
    * @example
@@ -440,87 +2946,263 @@ export default {
    * });
    * 
    * @example
-   * // Observe when children are added to any matching container
-   * utils.observeSelectors('.dynamic-list', (element, mutation) => {
-   *   if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-   *     console.log('New items added to:', element);
-   *   }
+   * // Observe when children are added to any matching container
+   * utils.observeSelectors('.dynamic-list', (element, mutation) => {
+   *   if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+   *     console.log('New items added to:', element);
+   *   }
+   * }, {
+   *   mutations: ['childList']
+   * });
+   */
+  observeSelectors: function(selector, callback, options = {}) {
+    const {
+      mutations = ['childList', 'attributes', 'subtree'],
+      timeout = null,
+      onTimeout = null,
+      attributeFilter = null,
+      pierce = false
+    } = options;
+
+    // Build MutationObserver options
+    const observerOptions = {
+      childList: mutations.includes('childList'),
+      attributes: mutations.includes('attributes'),
+      characterData: mutations.includes('characterData'),
+      subtree: mutations.includes('subtree'),
+      attributeOldValue: mutations.includes('attributeOldValue'),
+      characterDataOldValue: mutations.includes('characterDataOldValue')
+    };
+
+    if (attributeFilter && Array.isArray(attributeFilter)) {
+      observerOptions.attributeFilter = attributeFilter;
+    }
+
+    const observed = new Set();
+    let timeoutId = null;
+
+    // One observer for every matching element; a record is reported for each observed element it belongs to
+    const observer = new MutationObserver((mutationRecords, obs) => {
+      mutationRecords.forEach(mutation => {
+        for (let node = mutation.target; node; node = node.parentNode) {
+          if (observed.has(node)) callback(node, mutation, obs);
+          if (!observerOptions.subtree) break;
+        }
+      });
+    });
+
+    // Function to observe a specific element
+    function observeElement(element) {
+      if (observed.has(element)) return; // Already observing
+      observer.observe(element, observerOptions);
+      observed.add(element);
+    }
+
+    // Observe existing elements
+    queryAll(selector, document, pierce).forEach(observeElement);
+
+    // Watch for new elements being added. Shadow roots and iframes need their own observers;
+    // everything else shares the registry and only checks added nodes.
+    const stopWatchingTree = isPiercing(selector, pierce)
+      ? observeTree(document, true, () => queryAll(selector, document, pierce).forEach(observeElement))
+      : registerSelector(selector, document, 'observeSelectors', elements => elements.forEach(observeElement));
+
+    if (timeout) {
+      timeoutId = setTimeout(() => {
+        stopObserving();
+        if (onTimeout) onTimeout();
+      }, timeout);
+    }
+
+    function stopObserving() {
+      clearTimeout(timeoutId);
+      stopWatchingTree();
+      observer.disconnect();
+      observed.clear();
+    }
+
+    return stopObserving;
+  },
+
+  /**
+   * Watch the lifecycle of elements matching a selector
+   * Watchers share the observer behind waitForElement and observeSelectors: mutations are checked once per
+   * animation frame, and each batch only examines the added subtrees and changed elements (ignoring inline style
+   * changes unless the selector mentions [style), so hundreds of watchers stay cheap.
+   * @param {string} selector - CSS selector
+   * @param {Object} callbacks - Callbacks object
+   * @param {Function} callbacks.onAdd - Called with each matching element added to the DOM (and each existing match)
+   * @param {Function} callbacks.onRemove - Called with each matching element removed from the DOM
+   * @param {Function} callbacks.onMatchChange - Called with (element, isMatch) when an element in the DOM starts
+   *   or stops matching, e.g. after a class change
+   * @param {boolean} callbacks.existing - Call onAdd for elements that already match (default: true)
+   * @returns {Function} Function to stop watching
+   * @example
+   * const stop = utils.watch('.cart-drawer.is-open', {
+   *   onAdd: drawer => utils.addClass(drawer, 'variant-b'),
+   *   onMatchChange: (drawer, isOpen) => console.log('Drawer open:', isOpen),
+   *   onRemove: () => console.log('Drawer removed')
+   * });
+   */
+  watch: function(selector, callbacks = {}) {
+    const { onAdd = null, onRemove = null, onMatchChange = null, existing = true } = callbacks;
+    const watcher = {
+      selector,
+      onAdd,
+      onRemove,
+      onMatchChange,
+      matched: new Set(),
+      hasCombinator: /[\s>+~]/.test(selector.trim()),
+      hasSiblingCombinator: /[+~]/.test(selector)
+    };
+
+    document.querySelectorAll(selector).forEach(el => {
+      watcher.matched.add(el);
+      if (existing) runWatchCallback(onAdd, el);
+    });
+
+    watchers.add(watcher);
+    retainSharedRoot(document);
+
+    return function stopWatching() {
+      if (!watchers.delete(watcher)) return;
+      releaseSharedRoot(document);
+    };
+  },
+
+  /**
+   * Get debugging data about the shared selector observer
+   * waitForElement, waitForElements, observeSelector, observeSelectors and watch() register their selectors with
+   * one MutationObserver per root and check only added elements and elements whose attributes changed (and their
+   * subtrees), once per animation frame. Changes to the inline style attribute are ignored unless a registered
+   * selector mentions [style.
+   * Piercing queries still need an observer per call and are counted in `treeObservers`.
+   * @returns {Object} Stats: `rootObservers`, `selectors` (array of { selector, source }), `pendingNodes`,
+   *   `batches`, `mutationRecords`, `addedNodes`, `changedNodes`, `checks`, `matches`, `lastBatchDuration` and
+   *   `maxBatchDuration` (milliseconds), `treeObservers` and `watchers`
+   * @example
+   * console.table(utils.getObserverStats().selectors);
+   */
+  getObserverStats: function() {
+    return {
+      ...observerStats,
+      rootObservers: sharedRoots.size,
+      selectors: Array.from(selectorRegistry).map(({ selector, source }) => ({ selector, source })),
+      pendingNodes: pendingNodes.size,
+      watchers: watchers.size
+    };
+  },
+
+  /**
+   * Keep a change applied to all elements matching the selector, even when a framework re-renders them
+   * applyFn runs on every current and future match. When something else mutates a matched element
+   * (or its descendants), applyFn runs again. Mutations made by applyFn itself are ignored, so it never loops.
+   * applyFn should be idempotent. Changes are recorded under the change ledger id active when persist() was called.
+   *
+   * @param {string} selector - CSS selector
+   * @param {Function} applyFn - Function that applies the change, receives the element
+   * @param {Object} options - Options object
+   * @param {Function} options.check - Function that receives the element and returns true while the change
+   *   is still applied (optional). Without it, any outside mutation triggers a re-apply.
+   * @param {number} options.budget - Maximum re-applications per element (default: 100)
+   * @param {Function} options.onBudgetExceeded - Function called with the element when its budget runs out (optional)
+   * @param {Array<string>} options.attributeFilter - Only watch these attributes (optional)
+   * @returns {Function} Function to stop persisting
+   *
+   * @example
+   * // Keep the new CTA copy even after React re-renders the button
+   * const stop = utils.persist('.add-to-cart', (button) => {
+   *   utils.setText(button, 'Add to bag');
    * }, {
-   *   mutations: ['childList']
+   *   check: (button) => button.textContent === 'Add to bag'
    * });
    */
-  observeSelectors: function(selector, callback, options = {}) {
+  persist: function(selector, applyFn, options = {}) {
     const {
-      mutations = ['childList', 'attributes', 'subtree'],
-      timeout = null,
-      onTimeout = null,
+      check = null,
+      budget = 100,
+      onBudgetExceeded = null,
       attributeFilter = null
     } = options;
 
-    // Build MutationObserver options
     const observerOptions = {
-      childList: mutations.includes('childList'),
-      attributes: mutations.includes('attributes'),
-      characterData: mutations.includes('characterData'),
-      subtree: mutations.includes('subtree'),
-      attributeOldValue: mutations.includes('attributeOldValue'),
-      characterDataOldValue: mutations.includes('characterDataOldValue')
+      childList: true,
+      attributes: true,
+      characterData: true,
+      subtree: true
     };
 
     if (attributeFilter && Array.isArray(attributeFilter)) {
       observerOptions.attributeFilter = attributeFilter;
     }
 
-    const observers = new Map(); // Map of element -> observer
-    let timeoutId = null;
+    const changeId = activeChangeId;
+    const tracked = new Map(); // Map of element -> { observer, reapplies }
+    let isStopped = false;
 
-    // Function to observe a specific element
-    function observeElement(element) {
-      if (observers.has(element)) return; // Already observing
+    function runApply(el) {
+      const previousId = activeChangeId;
+      activeChangeId = changeId;
+      try {
+        applyFn(el);
+      } finally {
+        activeChangeId = previousId;
+      }
+    }
 
-      const observer = new MutationObserver((mutationRecords, obs) => {
-        mutationRecords.forEach(mutation => {
-          callback(element, mutation, obs);
-        });
+    function trackElement(el) {
+      if (tracked.has(el)) return;
+
+      const entry = { observer: null, reapplies: 0 };
+      entry.observer = new MutationObserver(() => {
+        if (isStopped || (check && check(el))) return;
+
+        if (entry.reapplies >= budget) {
+          entry.observer.disconnect();
+          console.warn(`persist("${selector}") re-application budget of ${budget} exceeded`);
+          if (onBudgetExceeded) onBudgetExceeded(el);
+          return;
+        }
+
+        entry.reapplies++;
+        runApply(el);
+        // Drop the records caused by our own re-apply
+        entry.observer.takeRecords();
       });
+      tracked.set(el, entry);
 
-      observer.observe(element, observerOptions);
-      observers.set(element, observer);
+      runApply(el);
+      entry.observer.observe(el, observerOptions);
     }
 
-    // Function to find and observe all matching elements
-    function findAndObserveElements() {
-      const elements = document.querySelectorAll(selector);
-      elements.forEach(el => observeElement(el));
+    function findAndTrackElements() {
+      tracked.forEach((entry, el) => {
+        if (!el.isConnected) {
+          entry.observer.disconnect();
+          tracked.delete(el);
+        }
+      });
+      document.querySelectorAll(selector).forEach(el => trackElement(el));
     }
 
-    // Observe existing elements
-    findAndObserveElements();
+    findAndTrackElements();
 
-    // Set up observer to watch for new elements being added
+    // Watch for new matches, including elements a framework replaced wholesale
     const rootObserver = new MutationObserver(() => {
-      findAndObserveElements();
+      if (!isStopped) findAndTrackElements();
     });
 
-    rootObserver.observe(document.body, {
+    rootObserver.observe(getObserveRoot(document), {
       childList: true,
       subtree: true
     });
 
-    if (timeout) {
-      timeoutId = setTimeout(() => {
-        stopObserving();
-        if (onTimeout) onTimeout();
-      }, timeout);
-    }
-
-    function stopObserving() {
+    return function stopPersisting() {
+      isStopped = true;
       rootObserver.disconnect();
-      observers.forEach(observer => observer.disconnect());
-      observers.clear();
-    }
-
-    return stopObserving;
+      tracked.forEach(entry => entry.observer.disconnect());
+      tracked.clear();
+    };
   },
 
   /**
@@ -551,7 +3233,9 @@ export default {
    */
   setText: function(element, text) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.textContent = text;
+    if (!el) return;
+    recordChange('setText', el, () => childrenUndo(el));
+    el.textContent = text;
   },
 
   /**
@@ -567,11 +3251,91 @@ export default {
   /**
    * Set element inner HTML
    * @param {Element|string} element - Element or selector
-   * @param {string} html - HTML to set
+   * @param {string|Node} html - HTML to set, or a node (such as a fragment from utils.html) to replace the content with
+   * @param {Object} options - Options object
+   * @param {boolean|Object} options.sanitize - Sanitize string HTML (default: false). Pass { tags, attributes }
+   *   to override the allowlists (see sanitizeHTML)
+   * @example
+   * // Untrusted HTML, such as a product description from the query string
+   * utils.setHTML('.description', description, { sanitize: true });
    */
-  setHTML: function(element, html) {
+  setHTML: function(element, html, options = {}) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.innerHTML = html;
+    if (!el) return;
+    recordChange('setHTML', el, () => childrenUndo(el));
+
+    const { sanitize = false } = options;
+    if (html instanceof Node) {
+      el.replaceChildren(html);
+    } else if (sanitize) {
+      el.replaceChildren(sanitizeHTML(html, sanitize === true ? {} : sanitize));
+    } else {
+      el.innerHTML = html;
+    }
+  },
+
+  /**
+   * Build a DocumentFragment from a template literal, escaping every interpolated value
+   * Interpolated nodes (including other utils.html fragments) are inserted as-is, arrays are joined,
+   * and null, undefined and false render nothing. Always quote interpolated attribute values.
+   * Escaping does not make javascript: URLs safe; validate interpolated href/src values yourself.
+   * @param {Array<string>} strings - Template strings
+   * @param {...*} values - Interpolated values
+   * @returns {DocumentFragment} Fragment
+   * @example
+   * const name = utils.getQueryParam('product');
+   * utils.setHTML('.promo', utils.html`
+   *   <p class="promo-title">Back in stock: <strong>${name}</strong></p>
+   *   ${items.map(item => utils.html`<li>${item.title}</li>`)}
+   * `);
+   */
+  html: function(strings, ...values) {
+    const nodes = [];
+    const serialize = (value) => {
+      if (value === null || value === undefined || value === false) return '';
+      if (Array.isArray(value)) return value.map(serialize).join('');
+      if (value instanceof Node) {
+        nodes.push(value);
+        return `<template data-eli-slot="${nodes.length - 1}"></template>`;
+      }
+      return escapeHTML(value);
+    };
+
+    const markup = strings.reduce((result, string, i) => {
+      return result + string + (i < values.length ? serialize(values[i]) : '');
+    }, '');
+
+    const template = document.createElement('template');
+    template.innerHTML = markup;
+    template.content.querySelectorAll('template[data-eli-slot]').forEach(slot => {
+      slot.replaceWith(nodes[Number(slot.getAttribute('data-eli-slot'))]);
+    });
+    return template.content;
+  },
+
+  /**
+   * Escape a value for use in HTML text or a quoted attribute
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped string
+   */
+  escapeHTML: function(value) {
+    return escapeHTML(value);
+  },
+
+  /**
+   * Parse HTML and keep only allowlisted tags and attributes
+   * Disallowed elements are unwrapped (their text is kept); script, style, iframe and similar elements are
+   * removed with their content. Event handler attributes and URLs other than http:, https:, mailto: and tel:
+   * are always removed. aria-* and data-* attributes are always allowed.
+   * @param {string} html - HTML to sanitize
+   * @param {Object} options - Options object
+   * @param {Array<string>} options.tags - Allowed tag names (default: common text, list, table and image tags)
+   * @param {Array<string>} options.attributes - Allowed attribute names (default: alt, class, height, href, id,
+   *   rel, sizes, src, srcset, target, title, width)
+   * @returns {DocumentFragment} Sanitized fragment
+   */
+  sanitizeHTML: function(html, options = {}) {
+    return sanitizeHTML(html, options);
   },
 
   /**
@@ -593,7 +3357,9 @@ export default {
    */
   setAttr: function(element, attr, value) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.setAttribute(attr, value);
+    if (!el) return;
+    recordChange('setAttr', el, () => attributeUndo(el, attr));
+    el.setAttribute(attr, value);
   },
 
   /**
@@ -603,7 +3369,9 @@ export default {
    */
   removeAttr: function(element, attr) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.removeAttribute(attr);
+    if (!el) return;
+    recordChange('removeAttr', el, () => attributeUndo(el, attr));
+    el.removeAttribute(attr);
   },
 
   /**
@@ -625,7 +3393,9 @@ export default {
    */
   setData: function(element, name, value) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
-    if (el) el.setAttribute(`data-${name}`, value);
+    if (!el) return;
+    recordChange('setData', el, () => attributeUndo(el, `data-${name}`));
+    el.setAttribute(`data-${name}`, value);
   },
 
   /**
@@ -650,6 +3420,7 @@ export default {
   setStyle: function(element, property, value) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (!el) return;
+    recordChange('setStyle', el, () => attributeUndo(el, 'style'));
     
     if (typeof property === 'object') {
       Object.assign(el.style, property);
@@ -660,24 +3431,120 @@ export default {
 
   /**
    * Get or set element value (for form inputs)
+   * Values are set through the native prototype setter and fire input/change events, so React and Vue
+   * pick up the change.
+   *   - Checkboxes: get a boolean; set a boolean, or a value (or array of values) that checks the box if it matches
+   *   - Radio buttons: get the checked value of the group; set the value of the button to check
+   *   - Selects: set by option value, falling back to option text; multi-selects get and set arrays
+   *   - Contenteditable elements: get and set the text
    * @param {Element|string} element - Element or selector
-   * @param {string} value - Value to set (optional)
-   * @returns {string|undefined} Current value if getting, undefined if setting
+   * @param {string|boolean|Array<string>} value - Value to set (optional)
+   * @returns {string|boolean|Array<string>|undefined} Current value if getting, undefined if setting
+   * @example
+   * utils.val('#country', 'Canada'); // Selects the option with value or text 'Canada'
+   * utils.val('#newsletter', true);
    */
   val: function(element, value) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (!el) return undefined;
     
     if (value === undefined) {
-      return el.value || '';
+      return readValue(el);
     } else {
-      el.value = value;
-      // Trigger input event for React/Vue compatibility
-      el.dispatchEvent(new Event('input', { bubbles: true }));
-      el.dispatchEvent(new Event('change', { bubbles: true }));
+      recordChange('val', el, () => {
+        // Radio buttons change their whole group, so undo through the group's checked value
+        const previous = readValue(el);
+        return () => writeValue(el, previous);
+      });
+      writeValue(el, value);
     }
   },
 
+  /**
+   * Serialize a form's fields into an object keyed by field name
+   * Disabled fields, buttons and fields without a name are skipped. Values follow val(): checkboxes are booleans,
+   * except groups of checkboxes sharing a name, which become an array of the checked values; radio groups are the
+   * checked value (or null); multi-selects are arrays. A hidden input sharing a checkbox's name (the Rails/Django
+   * unchecked fallback) is ignored. Other repeated names, such as 'tags[]', become an array of every value.
+   * @param {HTMLFormElement|string} form - Form element or selector
+   * @returns {Object} Field values by name
+   * @example
+   * const data = utils.serializeForm('#signup');
+   * // { email: 'jo@example.com', plan: 'pro', newsletter: true, interests: ['shoes', 'bags'] }
+   */
+  serializeForm: function(form) {
+    const formEl = typeof form === 'string' ? document.querySelector(form) : form;
+    if (!formEl) return {};
+
+    const data = {};
+    getFieldGroups(formEl, false).forEach(({ fields, kind, checkboxes }, name) => {
+      if (kind === 'radio') {
+        data[name] = readValue(fields[0]) || null;
+      } else if (kind === 'checkbox') {
+        // Hidden inputs beside a checkbox (Rails, Django) only hold the unchecked fallback
+        data[name] = checkboxes.length === 1
+          ? checkboxes[0].checked
+          : checkboxes.filter(field => field.checked).map(field => field.value);
+      } else if (kind === 'single') {
+        data[name] = readValue(fields[0]);
+      } else {
+        // Repeated names such as 'tags[]' collect every value
+        data[name] = fields.reduce((values, field) => {
+          if (field.type === 'checkbox' || field.type === 'radio') {
+            return field.checked ? values.concat(field.value) : values;
+          }
+          return values.concat(readValue(field));
+        }, []);
+      }
+    });
+    return data;
+  },
+
+  /**
+   * Fill a form's fields from an object keyed by field name, firing the events frameworks listen for
+   * Accepts the same shapes serializeForm() produces. Repeated fields take one array item each, hidden checkbox
+   * fallbacks are left alone, and booleans are never written into hidden inputs. Names that don't match a field
+   * are ignored.
+   * @param {HTMLFormElement|string} form - Form element or selector
+   * @param {Object} data - Field values by name
+   * @returns {Array<string>} Names of the fields that were filled
+   * @example
+   * utils.fillForm('#signup', { email: 'jo@example.com', plan: 'pro', newsletter: true });
+   */
+  fillForm: function(form, data) {
+    const formEl = typeof form === 'string' ? document.querySelector(form) : form;
+    if (!formEl) return [];
+
+    const groups = getFieldGroups(formEl, true);
+    return Object.keys(data).filter(name => {
+      const group = groups.get(name);
+      if (!group) return false;
+      const value = data[name];
+
+      if (group.kind === 'radio') {
+        // One call checks the right button in the group
+        this.val(group.fields[0], value === null ? '' : value);
+      } else if (group.kind === 'checkbox') {
+        // Hidden fallbacks keep their own value
+        group.checkboxes.forEach(field => this.val(field, value));
+      } else if (group.kind === 'single') {
+        const field = group.fields[0];
+        if (!(field.type === 'hidden' && typeof value === 'boolean')) this.val(field, value);
+      } else {
+        // Repeated fields each take their own array item
+        const values = Array.isArray(value) ? value : [value];
+        group.fields.forEach((field, i) => {
+          if (field.type === 'checkbox' || field.type === 'radio') {
+            this.val(field, values.map(String).includes(field.value));
+          } else if (i < values.length && !(field.type === 'hidden' && typeof values[i] === 'boolean')) {
+            this.val(field, values[i]);
+          }
+        });
+      }
+      return true;
+    });
+  },
+
   /**
    * Check if element is visible (not hidden by display, visibility, or opacity)
    * @param {Element|string} element - Element or selector
@@ -703,6 +3570,14 @@ export default {
   show: function(element, display = 'block') {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (el) {
+      recordChange('show', el, () => {
+        const restoreStyle = attributeUndo(el, 'style');
+        const restoreOriginalDisplay = attributeUndo(el, 'data-original-display');
+        return () => {
+          restoreStyle();
+          restoreOriginalDisplay();
+        };
+      });
       if (!el.dataset.originalDisplay) {
         el.dataset.originalDisplay = window.getComputedStyle(el).display;
       }
@@ -717,6 +3592,14 @@ export default {
   hide: function(element) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (el) {
+      recordChange('hide', el, () => {
+        const restoreStyle = attributeUndo(el, 'style');
+        const restoreOriginalDisplay = attributeUndo(el, 'data-original-display');
+        return () => {
+          restoreStyle();
+          restoreOriginalDisplay();
+        };
+      });
       if (!el.dataset.originalDisplay) {
         el.dataset.originalDisplay = window.getComputedStyle(el).display;
       }
@@ -724,6 +3607,162 @@ export default {
     }
   },
 
+  /**
+   * Hide elements (or the whole page) until the variant has been applied, to prevent a flash of original content
+   * Injects a stylesheet as soon as it is called, so call it as early as possible, before waiting for elements.
+   * The page is revealed when the returned function is called, when every selector has had a matching element
+   * modified (with revealOnChange), or after the timeout, whichever comes first. The timeout always applies,
+   * so the page is never left blank.
+   * @param {string|Array<string>} selectors - Selector(s) to hide (optional, hides the whole body when omitted)
+   * @param {Object} options - Options object
+   * @param {number} options.timeout - Reveal after this many milliseconds no matter what (default: 3000)
+   * @param {boolean} options.revealOnChange - Reveal once a matching element has been modified for every
+   *   selector (default: false)
+   * @param {Function} options.onTimeout - Function to call if the page was revealed by the timeout (optional)
+   * @returns {Function} Function that reveals the hidden elements
+   * @example
+   * const reveal = utils.antiFlicker('.hero', { timeout: 2000 });
+   * utils.waitForElement('.hero h1')
+   *   .then(heading => utils.setText(heading, 'Free shipping today'))
+   *   .finally(reveal);
+   */
+  antiFlicker: function(selectors, options = {}) {
+    const {
+      timeout = 3000,
+      revealOnChange = false,
+      onTimeout = null
+    } = options;
+
+    const selectorList = selectors ? [].concat(selectors) : ['body'];
+    const styles = this.addStyles(`${selectorList.join(', ')} { opacity: 0 !important; }`);
+
+    const stopObservers = [];
+    let isRevealed = false;
+    let timeoutId = null;
+
+    function reveal() {
+      if (isRevealed) return;
+      isRevealed = true;
+      clearTimeout(timeoutId);
+      stopObservers.forEach(stop => stop());
+      styles.remove();
+    }
+
+    timeoutId = setTimeout(() => {
+      reveal();
+      if (onTimeout) onTimeout();
+    }, timeout);
+
+    if (revealOnChange) {
+      const pending = new Set(selectorList);
+      selectorList.forEach(selector => {
+        stopObservers.push(this.observeSelectors(selector, () => {
+          pending.delete(selector);
+          if (pending.size === 0) reveal();
+        }, {
+          mutations: ['childList', 'attributes', 'characterData', 'subtree']
+        }));
+      });
+    }
+
+    return reveal;
+  },
+
+  /**
+   * Add a stylesheet to the page (or to a shadow root)
+   * Stylesheets with an id are deduplicated: adding the same id again updates the existing stylesheet.
+   * Inside shadow roots, constructable stylesheets are attached through adoptedStyleSheets where supported.
+   * Added stylesheets are recorded in the change ledger, so revert() removes them.
+   * @param {string} css - CSS text
+   * @param {Object} options - Options object
+   * @param {string} options.id - Stylesheet id used for deduplication and removeStyles() (optional)
+   * @param {string} options.scope - Class name to scope every rule under, such as 'eli-variant-b' (optional).
+   *   Add the class to a root element (e.g. with addClass) to turn the styles on.
+   * @param {string} options.media - Media query the stylesheet applies to (optional)
+   * @param {Document|ShadowRoot} options.root - Where to add the stylesheet (default: document)
+   * @returns {Object} Handle with id, update(css) and remove()
+   * @example
+   * const styles = utils.addStyles(`
+   *   .add-to-cart { background: #0a7d32; }
+   *   :scope .hero { padding: 48px 0; }
+   * `, { id: 'pdp-cta', scope: 'pdp-cta-b' });
+   * utils.addClass(document.body, 'pdp-cta-b');
+   *
+   * // Later
+   * styles.update('.add-to-cart { background: #0b5ed7; }');
+   * styles.remove();
+   */
+  addStyles: function(css, options = {}) {
+    const { id = null, scope = null, media = null, root = document } = options;
+    const prepare = (text) => scope ? scopeCSS(text, `.${scope}`) : text;
+
+    if (!styleRegistry.has(root)) styleRegistry.set(root, new Map());
+    const registry = styleRegistry.get(root);
+
+    if (id && registry.has(id)) {
+      const existing = registry.get(id);
+      existing.update(css);
+      return existing;
+    }
+
+    const useAdopted = root !== document && 'adoptedStyleSheets' in root && typeof CSSStyleSheet === 'function';
+    let sheet = null;
+    let element = null;
+
+    if (useAdopted) {
+      sheet = new CSSStyleSheet(media ? { media } : {});
+      sheet.replaceSync(prepare(css));
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    } else {
+      element = document.createElement('style');
+      if (id) element.setAttribute('data-eli-styles', id);
+      if (media) element.setAttribute('media', media);
+      element.textContent = prepare(css);
+    }
+
+    const handle = {
+      id,
+      element,
+      update: (newCss) => {
+        if (sheet) {
+          sheet.replaceSync(prepare(newCss));
+        } else {
+          element.textContent = prepare(newCss);
+        }
+      },
+      remove: () => {
+        if (sheet) {
+          root.adoptedStyleSheets = root.adoptedStyleSheets.filter(adopted => adopted !== sheet);
+        } else {
+          element.remove();
+        }
+        if (id && registry.get(id) === handle) registry.delete(id);
+      }
+    };
+
+    recordChange('addStyles', element || root, () => handle.remove);
+    if (element) {
+      const parent = root === document ? (document.head || document.documentElement) : root;
+      parent.appendChild(element);
+    }
+    if (id) registry.set(id, handle);
+
+    return handle;
+  },
+
+  /**
+   * Remove a stylesheet added with addStyles()
+   * @param {string} id - Stylesheet id
+   * @param {Document|ShadowRoot} root - Root the stylesheet was added to (default: document)
+   * @returns {boolean} True if a stylesheet was removed
+   */
+  removeStyles: function(id, root = document) {
+    const registry = styleRegistry.get(root);
+    if (!registry || !registry.has(id)) return false;
+    registry.get(id).remove();
+    return true;
+  },
+
   /**
    * Get element dimensions and position
    * @param {Element|string} element - Element or selector
@@ -764,6 +3803,7 @@ export default {
 
   /**
    * Get or set URL query parameters
+   * Note: Use utils.url() to delete parameters or set several at once.
    * @param {string} name - Parameter name (optional, if omitted returns all params)
    * @param {string} value - Value to set (optional)
    * @param {string} url - URL to use (defaults to current location)
@@ -791,6 +3831,116 @@ export default {
     }
   },
 
+  /**
+   * Create an immutable URL builder
+   * Methods that change the URL return a new builder, so the original is never modified.
+   * @param {string} href - URL, absolute or relative to the current page (default: current location)
+   * @param {Object} options - Options object
+   * @param {string} options.arrayFormat - How set()/append() encode arrays: 'repeat' ('tags=a&tags=b', default)
+   *   or 'bracket' ('tags[]=a&tags[]=b'). Both formats are always read.
+   * @returns {UrlBuilder} URL builder with get, getAll, has, set, append, delete, params, query, hash, path,
+   *   segments, segment, match, push and replace
+   * @example
+   * utils.url()
+   *   .set('variant', 'b')
+   *   .delete('utm_source')
+   *   .hash('reviews')
+   *   .replace();
+   *
+   * @example
+   * const { id } = utils.url().match('/products/:id/*') || {};
+   */
+  url: function(href = window.location.href, options = {}) {
+    return new UrlBuilder(this, href, options);
+  },
+
+  /**
+   * Redirect to another URL for a split-URL test
+   * The current query string and hash are carried over (parameters already on the target win).
+   * The same redirect (same id, from the same URL to the same URL) is skipped if it already happened within
+   * loopTimeout, so the back button or two pages redirecting to each other can't loop the visitor, while
+   * later visits are still redirected. Never redirects to the current URL.
+   * A tracking event is sent through track() (and flushed) before navigating.
+   * @param {string} targetUrl - URL to redirect to, absolute or relative
+   * @param {Object} options - Options object
+   * @param {string} options.id - Loop guard id (default: the target's pathname)
+   * @param {number} options.loopTimeout - Milliseconds during which a repeat of the same redirect is skipped (default: 10000)
+   * @param {boolean} options.preserveQuery - Carry over the current query string (default: true)
+   * @param {boolean} options.preserveHash - Carry over the current hash if the target has none (default: true)
+   * @param {boolean} options.keepUtm - Carry over utm_* parameters even when preserveQuery is false (default: true)
+   * @param {string} options.event - Name of the tracking event sent before navigating (default: 'redirect'; false to skip)
+   * @param {boolean} options.hidePage - Hide the page until navigation (default: false)
+   * @param {number} options.hideTimeout - Reveal the page after this many milliseconds if navigation stalls (default: 3000)
+   * @param {boolean} options.replace - Replace the current history entry, so back skips the original page (default: true)
+   * @returns {string|null} URL redirected to, or null if the redirect was skipped
+   * @example
+   * const { variant } = utils.assignVariant('new-checkout', ['control', 'redesign']);
+   * if (variant === 'redesign') {
+   *   utils.redirect('/checkout-v2', { hidePage: true });
+   * }
+   */
+  redirect: function(targetUrl, options = {}) {
+    const current = new URL(window.location.href);
+    let target = this.url(targetUrl);
+    const {
+      id = target.path(),
+      preserveQuery = true,
+      preserveHash = true,
+      keepUtm = true,
+      event = 'redirect',
+      hidePage = false,
+      hideTimeout = 3000,
+      replace = true,
+      loopTimeout = 10000
+    } = options;
+
+    // Decide per key before appending, so every value of a repeated key is carried over
+    const targetKeys = new Set(Array.from(new URL(target.href).searchParams.keys()));
+    current.searchParams.forEach((value, key) => {
+      const carry = preserveQuery || (keepUtm && key.startsWith('utm_'));
+      if (carry && !targetKeys.has(key)) {
+        target = target.append(key, value);
+      }
+    });
+
+    if (preserveHash && current.hash && !target.hash()) {
+      target = target.hash(current.hash);
+    }
+
+    if (target.href === current.href) return null;
+
+    const marker = `eli_redirect_${id}`;
+    let previous = null;
+    try {
+      previous = JSON.parse(this.getSessionStorage(marker));
+    } catch (e) {
+      previous = null;
+    }
+    if (previous && previous.from === current.href && previous.to === target.href &&
+        Date.now() - previous.time < loopTimeout) {
+      return null;
+    }
+    this.setSessionStorage(marker, JSON.stringify({ from: current.href, to: target.href, time: Date.now() }));
+
+    if (hidePage) {
+      this.antiFlicker(null, { timeout: hideTimeout });
+    }
+
+    const detail = { id, from: current.href, to: target.href };
+    this.triggerEvent('eli:redirect', detail);
+    if (event) {
+      this.track(event, detail);
+      this.flushEvents();
+    }
+
+    if (replace) {
+      window.location.replace(target.href);
+    } else {
+      window.location.assign(target.href);
+    }
+    return target.href;
+  },
+
   /**
    * Update URL without page reload
    * @param {string} url - New URL
@@ -804,6 +3954,84 @@ export default {
     }
   },
 
+  /**
+   * Listen for route changes made by the host app (history API, back/forward and hash changes)
+   * @param {Function} callback - Callback function that receives (url, previousUrl)
+   * @param {Object} options - Options object
+   * @param {string|RegExp|Function} options.match - Only call back for URLs matching this pattern (optional).
+   *   Strings may contain * wildcards and :name segments, and are matched against the pathname when they start with '/',
+   *   otherwise against the full URL.
+   * @returns {Function} Function to stop listening
+   * @example
+   * const stop = utils.onRouteChange((url, previousUrl) => {
+   *   console.log('Navigated from', previousUrl, 'to', url);
+   * }, { match: '/products/*' });
+   */
+  onRouteChange: function(callback, options = {}) {
+    const { match = null } = options;
+    patchHistory();
+
+    const listener = (url, previousUrl) => {
+      if (matchesRoute(match, url)) {
+        callback(url, previousUrl);
+      }
+    };
+
+    routeListeners.add(listener);
+    return () => routeListeners.delete(listener);
+  },
+
+  /**
+   * Run variant code whenever a matching route is entered, and clean it up when the route is left
+   * Runs immediately if the current URL matches. Moving between two different matching URLs
+   * cleans up and re-applies, since SPAs usually re-render the page content.
+   * @param {string|RegExp|Function} urlPattern - Route pattern (see onRouteChange)
+   * @param {Function} applyFn - Function that applies the variant, receives the URL
+   * @param {Function} cleanupFn - Function that removes the variant, receives the URL (optional)
+   * @returns {Function} Function to stop listening (also cleans up if the variant is applied)
+   * @example
+   * utils.applyOnRoute('/checkout*', () => {
+   *   utils.beginChanges('checkout-badge');
+   *   utils.prepend('.checkout-summary', utils.createElement('div', { class: 'trust-badge' }, 'Secure checkout'));
+   *   utils.endChanges();
+   * }, () => utils.revert('checkout-badge'));
+   */
+  applyOnRoute: function(urlPattern, applyFn, cleanupFn = null) {
+    let appliedUrl = null;
+
+    const cleanup = () => {
+      const url = appliedUrl;
+      appliedUrl = null;
+      if (cleanupFn) cleanupFn(url);
+    };
+
+    const apply = (url) => {
+      appliedUrl = url;
+      applyFn(url);
+    };
+
+    const stopListening = this.onRouteChange((url) => {
+      const isMatch = matchesRoute(urlPattern, url);
+      // Ignore hash-only changes within the same route
+      const isSameRoute = appliedUrl !== null && url.split('#')[0] === appliedUrl.split('#')[0];
+      if (appliedUrl !== null && (!isMatch || !isSameRoute)) {
+        cleanup();
+      }
+      if (isMatch && appliedUrl === null) {
+        apply(url);
+      }
+    });
+
+    if (matchesRoute(urlPattern, window.location.href)) {
+      apply(window.location.href);
+    }
+
+    return () => {
+      stopListening();
+      if (appliedUrl !== null) cleanup();
+    };
+  },
+
   /**
    * Debounce function - delays execution until after wait time
    * @param {Function} func - Function to debounce
@@ -918,6 +4146,163 @@ export default {
     }
   },
 
+  /**
+   * Create a namespaced store with JSON values and optional expiry
+   * Keys are prefixed with the namespace, so stores never collide with each other or with the page's own keys.
+   * When localStorage/sessionStorage is unavailable (e.g. blocked in private mode) the store falls back to memory.
+   * When the quota is full, expired entries and then the namespace's oldest entries are evicted to make room.
+   * @param {string} namespace - Namespace for keys
+   * @param {Object} options - Options object
+   * @param {string} options.backend - 'local', 'session', 'cookie' or 'memory' (default: 'local')
+   * @returns {Object} Store with get, set, remove, has, keys, clear and onChange
+   * @example
+   * const store = utils.store('exp-42', { backend: 'local' });
+   * store.set('dismissed', true, { ttl: 24 * 60 * 60 * 1000 });
+   * if (!store.get('dismissed', false)) {
+   *   utils.show('.promo-banner');
+   * }
+   */
+  store: function(namespace, options = {}) {
+    const { backend = 'local' } = options;
+    const adapter = createStorageAdapter(backend);
+    const separator = backend === 'cookie' ? '_' : ':';
+    const prefix = `${namespace}${separator}`;
+    const fullKey = key => `${prefix}${key}`;
+
+    // Entries are stored as JSON: { v: value, t: time set, e: expiry time or null }
+    const readEntry = (key) => {
+      const raw = adapter.getItem(fullKey(key));
+      if (raw === null) return null;
+      try {
+        const entry = JSON.parse(raw);
+        if (entry.e && entry.e <= Date.now()) {
+          adapter.removeItem(fullKey(key));
+          return null;
+        }
+        return entry;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const ownKeys = () => adapter.keys()
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+
+    // Free space in this namespace: drop expired entries first, then the oldest half
+    const evict = () => {
+      const entries = ownKeys().map(key => ({ key, entry: readEntry(key) })).filter(item => item.entry);
+      entries.sort((a, b) => a.entry.t - b.entry.t);
+      entries.slice(0, Math.max(1, Math.ceil(entries.length / 2))).forEach(item => adapter.removeItem(fullKey(item.key)));
+    };
+
+    return {
+      /**
+       * Backend actually in use ('memory' when web storage was unavailable)
+       */
+      backend: adapter.type,
+
+      /**
+       * Get a value
+       * @param {string} key - Key
+       * @param {*} defaultValue - Value returned when the key is missing or expired (default: null)
+       * @returns {*} Stored value
+       */
+      get: (key, defaultValue = null) => {
+        const entry = readEntry(key);
+        return entry ? entry.v : defaultValue;
+      },
+
+      /**
+       * Set a value
+       * @param {string} key - Key
+       * @param {*} value - JSON-serializable value
+       * @param {Object} setOptions - Options object
+       * @param {number} setOptions.ttl - Time to live in milliseconds (optional)
+       * @returns {boolean} True if the value was stored
+       */
+      set: (key, value, setOptions = {}) => {
+        const now = Date.now();
+        const expires = setOptions.ttl ? now + setOptions.ttl : null;
+        let raw;
+
+        try {
+          // Circular or BigInt values throw here, and are reported like a failed write
+          raw = JSON.stringify({ v: value, t: now, e: expires });
+          adapter.setItem(fullKey(key), raw, expires);
+          return true;
+        } catch (e) {
+          if (!isQuotaError(e)) {
+            console.warn('Failed to set store value:', e);
+            return false;
+          }
+        }
+
+        try {
+          evict();
+          adapter.setItem(fullKey(key), raw, expires);
+          return true;
+        } catch (e) {
+          console.warn('Failed to set store value:', e);
+          return false;
+        }
+      },
+
+      /**
+       * Remove a value
+       * @param {string} key - Key
+       */
+      remove: (key) => {
+        adapter.removeItem(fullKey(key));
+      },
+
+      /**
+       * Check whether a key is set and not expired
+       * @param {string} key - Key
+       * @returns {boolean} True if the key is set
+       */
+      has: key => readEntry(key) !== null,
+
+      /**
+       * List the keys in this namespace that are set and not expired
+       * @returns {Array<string>} Keys
+       */
+      keys: () => ownKeys().filter(key => readEntry(key) !== null),
+
+      /**
+       * Remove every key in this namespace
+       */
+      clear: () => {
+        ownKeys().forEach(key => adapter.removeItem(fullKey(key)));
+      },
+
+      /**
+       * Listen for changes made to this namespace in other tabs (localStorage only)
+       * @param {Function} callback - Callback function that receives (key, newValue, oldValue)
+       * @returns {Function} Function to stop listening
+       */
+      onChange: (callback) => {
+        const parse = (raw) => {
+          try {
+            return raw === null ? null : JSON.parse(raw).v;
+          } catch (e) {
+            return null;
+          }
+        };
+        const handleStorage = (e) => {
+          if (!adapter.storage || e.storageArea !== adapter.storage) return;
+          if (e.key === null) {
+            callback(null, null, null);
+          } else if (e.key.startsWith(prefix)) {
+            callback(e.key.slice(prefix.length), parse(e.newValue), parse(e.oldValue));
+          }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+      }
+    };
+  },
+
   /**
    * Check if device is mobile
    * @returns {boolean} True if mobile device
@@ -966,6 +4351,46 @@ export default {
     return 'unknown';
   },
 
+  /**
+   * Evaluate a declarative audience rule tree against the current visitor
+   * Combine rules with { and: [...] }, { or: [...] } and { not: rule }. Leaf rules have a type:
+   *   - { type: 'url', value, match } - Current URL; match is 'contains' (default), 'exact' or 'regex'
+   *   - { type: 'query', name, value, match } - Query parameter; match is 'exact' (default), 'contains' or 'regex'
+   *   - { type: 'cookie', name, value, match } - Cookie value
+   *   - { type: 'storage', key, backend, value, match } - localStorage ('local', default) or sessionStorage ('session') value
+   *   - { type: 'device', value } - 'mobile', 'tablet' or 'desktop'
+   *   - { type: 'browser', value } - Browser name as returned by getBrowser()
+   *   - { type: 'viewport', minWidth, maxWidth, minHeight, maxHeight } - Viewport size range in pixels
+   *   - { type: 'referrer', value, match } - document.referrer; match is 'contains' (default), 'exact' or 'regex'
+   *   - { type: 'time', days, start, end, from, to } - Days of week (0 = Sunday), 'HH:MM' local time window
+   *     (may wrap past midnight), and from/to dates
+   * Omit value on query, cookie, storage and referrer rules to only check that it exists.
+   * value may be an array to match any of several values.
+   *
+   * @param {Object} rules - Audience rule tree
+   * @returns {Object} Object with matched (boolean) and explanation (tree of { rule, matched, actual, children })
+   *
+   * @example
+   * const audience = utils.matchesAudience({
+   *   and: [
+   *     { type: 'url', value: '/products/' },
+   *     { type: 'device', value: ['mobile', 'tablet'] },
+   *     { not: { type: 'cookie', name: 'returning_customer', value: 'true' } },
+   *     { type: 'time', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }
+   *   ]
+   * });
+   *
+   * if (audience.matched) {
+   *   // apply variant
+   * } else {
+   *   console.log(audience.explanation);
+   * }
+   */
+  matchesAudience: function(rules) {
+    const explanation = evaluateAudienceRule(this, rules);
+    return { matched: explanation.matched, explanation };
+  },
+
   /**
    * Wait for DOM ready
    * @returns {Promise} Promise that resolves when DOM is ready
@@ -997,9 +4422,16 @@ export default {
   /**
    * Create an element
    * @param {string} tag - HTML tag name
-   * @param {Object} attrs - Attributes object
-   * @param {string|Element} content - Text content or child element
+   * @param {Object} attrs - Attributes object. Function values for on* keys (onClick, onmouseenter, etc.)
+   *   are added as event listeners.
+   * @param {string|Node|Array} content - Text content, child node, or (nested) array of text and nodes
    * @returns {Element} Created element
+   * @example
+   * const banner = utils.createElement('div', { class: 'promo' }, [
+   *   utils.createElement('strong', {}, 'Free shipping'),
+   *   ' on orders over $50 ',
+   *   utils.createElement('button', { type: 'button', onClick: () => utils.remove(banner) }, 'Dismiss')
+   * ]);
    */
   createElement: function(tag, attrs = {}, content = '') {
     const el = document.createElement(tag);
@@ -1009,6 +4441,8 @@ export default {
         el.className = attrs[key];
       } else if (key === 'style' && typeof attrs[key] === 'object') {
         Object.assign(el.style, attrs[key]);
+      } else if (key.startsWith('on') && typeof attrs[key] === 'function') {
+        el.addEventListener(key.slice(2).toLowerCase(), attrs[key]);
       } else {
         el.setAttribute(key, attrs[key]);
       }
@@ -1016,8 +4450,8 @@ export default {
     
     if (typeof content === 'string') {
       el.textContent = content;
-    } else if (content instanceof Element) {
-      el.appendChild(content);
+    } else {
+      appendChildren(el, content);
     }
     
     return el;
@@ -1032,6 +4466,7 @@ export default {
     const parentEl = typeof parent === 'string' ? document.querySelector(parent) : parent;
     const childEl = typeof child === 'string' ? document.querySelector(child) : child;
     if (parentEl && childEl) {
+      recordChange('append', childEl, () => positionUndo(childEl));
       parentEl.appendChild(childEl);
     }
   },
@@ -1045,6 +4480,7 @@ export default {
     const parentEl = typeof parent === 'string' ? document.querySelector(parent) : parent;
     const childEl = typeof child === 'string' ? document.querySelector(child) : child;
     if (parentEl && childEl) {
+      recordChange('prepend', childEl, () => positionUndo(childEl));
       parentEl.insertBefore(childEl, parentEl.firstChild);
     }
   },
@@ -1056,6 +4492,7 @@ export default {
   remove: function(element) {
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (el && el.parentNode) {
+      recordChange('remove', el, () => positionUndo(el));
       el.parentNode.removeChild(el);
     }
   },
@@ -1165,34 +4602,219 @@ export default {
     return el ? el.closest(selector) : null;
   },
 
+  /**
+   * Start recording changes made by utils mutators under an experiment/variant id
+   * Every addClass, removeClass, toggleClass, setText, setHTML, setAttr, removeAttr, setData,
+   * setStyle, val, show, hide, append, prepend, remove, on and delegate call is recorded until endChanges().
+   * @param {string} id - Experiment/variant id to record under
+   * @example
+   * utils.beginChanges('exp-42:variant-b');
+   * utils.setText('.hero h1', 'Free shipping today');
+   * utils.addClass('.hero', 'variant-b');
+   * utils.endChanges();
+   */
+  beginChanges: function(id) {
+    activeChangeId = id;
+  },
+
+  /**
+   * Stop recording changes started with beginChanges()
+   */
+  endChanges: function() {
+    activeChangeId = null;
+  },
+
+  /**
+   * Run a function while recording its changes under an experiment/variant id
+   * If the function throws, every change recorded under the id is reverted and the error is rethrown.
+   * Note: Only changes made synchronously are recorded. Wrap async callbacks in their own recordChanges() call.
+   * @param {string} id - Experiment/variant id to record under
+   * @param {Function} fn - Function that applies the variant
+   * @returns {*} The function's return value
+   * @example
+   * utils.recordChanges('exp-42:variant-b', () => {
+   *   utils.setText('.hero h1', 'Free shipping today');
+   *   utils.hide('.promo-banner');
+   * });
+   */
+  recordChanges: function(id, fn) {
+    const previousId = activeChangeId;
+    activeChangeId = id;
+    try {
+      return fn();
+    } catch (error) {
+      this.revert(id);
+      throw error;
+    } finally {
+      activeChangeId = previousId;
+    }
+  },
+
+  /**
+   * Revert every change recorded under an experiment/variant id, newest first
+   * @param {string} id - Experiment/variant id
+   * @returns {number} Number of changes reverted
+   * @example
+   * utils.revert('exp-42:variant-b');
+   */
+  revert: function(id) {
+    const changes = changeLedger.get(id) || [];
+    changeLedger.delete(id);
+    changes.slice().reverse().forEach(change => {
+      try {
+        change.undo();
+      } catch (e) {
+        console.warn(`Failed to revert ${change.type}:`, e);
+      }
+    });
+    return changes.length;
+  },
+
+  /**
+   * Get the changes recorded under an experiment/variant id
+   * @param {string} id - Experiment/variant id
+   * @returns {Array<Object>} Array of { type, element } objects, oldest first
+   */
+  getChanges: function(id) {
+    return (changeLedger.get(id) || []).map(change => ({ type: change.type, element: change.element }));
+  },
+
   /**
    * Track scroll depth
-   * @param {Function} callback - Callback function that receives depth percentage
-   * @param {Array} thresholds - Array of depth thresholds to trigger (default: [25, 50, 75, 100])
+   * Depth is measured fresh on every check, and re-checked on resize and whenever the content grows,
+   * so infinite-scroll and lazy-loading pages report correct percentages. A page (or container) that
+   * doesn't scroll is 100% deep. Percentages and pixels measure how far the page has been scrolled.
+   * @param {Function} callback - Callback function that receives (threshold, depth, details). `depth` is in the
+   *   threshold's unit; `details` is { unit: '%' or 'px', percent, pixels, maxPercent, maxPixels }
+   * @param {Array|Object} options - Array of percentage thresholds, or an options object
+   * @param {Array<number>} options.thresholds - Percentage thresholds (default: [25, 50, 75, 100])
+   * @param {Array<number>} options.pixels - Pixel thresholds (default: [])
+   * @param {Element|string} options.container - Scrollable element to measure instead of the window (optional)
+   * @param {Element|string} options.target - Measure how far the user has scrolled through this element instead
+   *   of the whole page: 0% when its top enters the viewport, 100% when its bottom does (optional)
+   * @param {number} options.throttle - Minimum milliseconds between checks while scrolling (default: 100)
+   * @param {Function} options.onUnload - Called with { percent, pixels } (the maximum depth reached) on pagehide (optional)
    * @returns {Function} Function to stop tracking
+   * @example
+   * utils.trackScrollDepth((threshold, depth, details) => {
+   *   utils.track('scroll_depth', { threshold, unit: details.unit });
+   * }, {
+   *   thresholds: [25, 50, 75, 100],
+   *   pixels: [1000, 2500],
+   *   onUnload: max => utils.track('scroll_depth_max', max)
+   * });
+   *
+   * @example
+   * // Fire once the reviews section has been reached
+   * utils.trackScrollDepth(() => utils.trackGoal('reviews_reached'), { target: '#reviews', thresholds: [0] });
    */
-  trackScrollDepth: function(callback, thresholds = [25, 50, 75, 100]) {
+  trackScrollDepth: function(callback, options = {}) {
+    const settings = Array.isArray(options) ? { thresholds: options } : options;
+    const {
+      thresholds = [25, 50, 75, 100],
+      pixels = [],
+      throttle = 100,
+      onUnload = null
+    } = settings;
+    const container = typeof settings.container === 'string' ? document.querySelector(settings.container) : settings.container;
+    const target = typeof settings.target === 'string' ? document.querySelector(settings.target) : settings.target;
+    if ((settings.container && !container) || (settings.target && !target)) return () => {};
+
     const triggered = new Set();
-    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
-    
-    const handleScroll = this.throttle(() => {
-      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-      const depth = Math.round((scrollTop / maxScroll) * 100);
-      
+    let maxPercent = 0;
+    let maxPixels = 0;
+    let stopped = false;
+
+    const measure = () => {
+      // Visible area, in viewport coordinates
+      const viewTop = container ? container.getBoundingClientRect().top + container.clientTop : 0;
+      const viewHeight = container ? container.clientHeight : window.innerHeight;
+
+      if (target) {
+        // Pixels of the target that have entered the visible area (negative before it is reached)
+        const rect = target.getBoundingClientRect();
+        const seen = viewTop + viewHeight - rect.top;
+        const percent = rect.height > 0 ? (seen / rect.height) * 100 : (seen >= 0 ? 100 : -1);
+        return { percent: Math.min(100, Math.round(percent)), pixels: Math.min(rect.height, Math.round(seen)) };
+      }
+
+      const scrollTop = container ? container.scrollTop : (window.pageYOffset || document.documentElement.scrollTop);
+      const scrollHeight = container
+        ? container.scrollHeight
+        : Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0);
+      const maxScroll = scrollHeight - viewHeight;
+      const percent = maxScroll > 0 ? (scrollTop / maxScroll) * 100 : 100;
+      return { percent: Math.min(100, Math.round(percent)), pixels: Math.round(scrollTop) };
+    };
+
+    const check = () => {
+      if (stopped) return;
+      const depth = measure();
+      maxPercent = Math.max(maxPercent, depth.percent);
+      maxPixels = Math.max(maxPixels, depth.pixels);
+      const details = { ...depth, maxPercent, maxPixels };
+
       thresholds.forEach(threshold => {
-        if (depth >= threshold && !triggered.has(threshold)) {
-          triggered.add(threshold);
-          callback(threshold, depth);
+        if (depth.percent >= threshold && !triggered.has(`${threshold}%`)) {
+          triggered.add(`${threshold}%`);
+          callback(threshold, depth.percent, { unit: '%', ...details });
         }
       });
-    }, 100);
-    
-    window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
+      pixels.forEach(threshold => {
+        if (depth.pixels >= threshold && !triggered.has(`${threshold}px`)) {
+          triggered.add(`${threshold}px`);
+          callback(threshold, depth.pixels, { unit: 'px', ...details });
+        }
+      });
+    };
+
+    // Throttle while scrolling, and always check once scrolling stops so the final position counts
+    const throttledCheck = this.throttle(check, throttle);
+    const trailingCheck = this.debounce(check, throttle);
+    const handleScroll = () => {
+      throttledCheck();
+      trailingCheck();
+    };
+    const handleUnload = () => {
+      check();
+      if (onUnload) onUnload({ percent: maxPercent, pixels: maxPixels });
+    };
+
+    const scrollTarget = container || window;
+    scrollTarget.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    window.addEventListener('pagehide', handleUnload);
+
+    // Content growth changes the scrollable height without a scroll or resize event
+    let resizeObserver = null;
+    if (typeof ResizeObserver === 'function') {
+      resizeObserver = new ResizeObserver(handleScroll);
+      const content = container ? Array.from(container.children) : [document.body || document.documentElement];
+      content.forEach(el => resizeObserver.observe(el));
+      if (target) resizeObserver.observe(target);
+    }
+
+    // A page that is still loading may be a short skeleton, so the first check waits for the load event
+    if (document.readyState === 'complete') {
+      check();
+    } else {
+      window.addEventListener('load', check);
+    }
+
+    return () => {
+      stopped = true;
+      scrollTarget.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      window.removeEventListener('pagehide', handleUnload);
+      window.removeEventListener('load', check);
+      if (resizeObserver) resizeObserver.disconnect();
+    };
   },
 
   /**
    * Track time on page
+   * Note: This counts wall-clock time, including background tabs and idle time. Use trackEngagedTime() to only
+   * count time the user is actually engaged.
    * @param {Function} callback - Callback function that receives time in seconds
    * @param {number} interval - Check interval in milliseconds (default: 1000)
    * @returns {Function} Function to stop tracking
@@ -1207,6 +4829,105 @@ export default {
     return () => clearInterval(intervalId);
   },
 
+  /**
+   * Track engaged time: time the page is visible and focused, and the user has interacted within the idle timeout
+   * @param {Function} callback - Callback function that receives (threshold, seconds) as each threshold is reached
+   * @param {Object} options - Options object
+   * @param {Array<number>} options.thresholds - Engaged seconds to report (default: [10, 30, 60])
+   * @param {number} options.idleTimeout - Pause after this many milliseconds without input (default: 30000)
+   * @param {Function} options.onUnload - Called with the engaged seconds on pagehide (optional)
+   * @param {string} options.beaconUrl - Also post { engagedTime, url, timestamp } as JSON to this URL with
+   *   navigator.sendBeacon on pagehide (optional)
+   * @returns {Function} Function to stop tracking, which returns the engaged seconds
+   * @example
+   * utils.trackEngagedTime(threshold => {
+   *   utils.track('engaged_time', { seconds: threshold });
+   * }, {
+   *   thresholds: [10, 30, 60],
+   *   beaconUrl: 'https://collect.example.com/engagement'
+   * });
+   */
+  trackEngagedTime: function(callback, options = {}) {
+    const {
+      thresholds = [10, 30, 60],
+      idleTimeout = 30000,
+      onUnload = null,
+      beaconUrl = null
+    } = options;
+    const inputEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'wheel', 'touchstart'];
+    const triggered = new Set();
+    let engagedMs = 0;
+    let segmentStart = null; // Start of the current engaged stretch, null while paused
+    let lastInput = Date.now();
+    let tickId = null;
+
+    const getSeconds = () => Math.floor((engagedMs + (segmentStart === null ? 0 : Date.now() - segmentStart)) / 1000);
+
+    const pause = (at = Date.now()) => {
+      if (segmentStart === null) return;
+      engagedMs += Math.max(0, at - segmentStart);
+      segmentStart = null;
+      clearInterval(tickId);
+    };
+
+    const tick = () => {
+      // Only credit time up to the moment the user went idle
+      if (Date.now() - lastInput >= idleTimeout) pause(lastInput + idleTimeout);
+      const seconds = getSeconds();
+      thresholds.forEach(threshold => {
+        if (seconds >= threshold && !triggered.has(threshold)) {
+          triggered.add(threshold);
+          callback(threshold, seconds);
+        }
+      });
+    };
+
+    const resume = () => {
+      if (segmentStart !== null || document.visibilityState === 'hidden' || !document.hasFocus()) return;
+      if (Date.now() - lastInput >= idleTimeout) return;
+      segmentStart = Date.now();
+      tickId = setInterval(tick, 1000);
+    };
+
+    const handleInput = () => {
+      lastInput = Date.now();
+      resume();
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') {
+        pause();
+      } else {
+        resume();
+      }
+    };
+    const handleBlur = () => pause();
+    const handleUnload = () => {
+      pause();
+      const engagedTime = getSeconds();
+      if (onUnload) onUnload(engagedTime);
+      if (beaconUrl && navigator.sendBeacon) {
+        navigator.sendBeacon(beaconUrl, JSON.stringify({ engagedTime, url: window.location.href, timestamp: Date.now() }));
+      }
+    };
+
+    inputEvents.forEach(type => document.addEventListener(type, handleInput, { capture: true, passive: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', resume);
+    window.addEventListener('pagehide', handleUnload);
+    resume();
+
+    return () => {
+      pause();
+      inputEvents.forEach(type => document.removeEventListener(type, handleInput, { capture: true }));
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', resume);
+      window.removeEventListener('pagehide', handleUnload);
+      return getSeconds();
+    };
+  },
+
   /**
    * Track element visibility using Intersection Observer
    * @param {Element|string} element - Element or selector
@@ -1232,6 +4953,461 @@ export default {
     return () => observer.disconnect();
   },
 
+  /**
+   * Track qualified impressions of all current and future elements matching the selector
+   * An impression counts once an element has stayed at least `ratio` visible for `duration` milliseconds while
+   * the page is visible. Each impression is sent through track() with the selector, the element's text (trimmed,
+   * up to 100 characters) and its index among all elements matching the selector.
+   * Elements too tall to ever be `ratio` visible (such as hero sections) qualify once they fill at least `ratio`
+   * of the viewport's height instead.
+   * @param {string} selector - CSS selector
+   * @param {Object} options - Options object
+   * @param {number} options.ratio - Share of the element that must be visible, 0-1 (default: 0.5)
+   * @param {number} options.duration - Milliseconds it must stay visible (default: 1000)
+   * @param {boolean} options.once - Count each element at most once per page view (default: true)
+   * @param {string} options.event - Event name sent to track() (default: 'impression')
+   * @param {Object} options.props - Extra properties to send with each impression (optional)
+   * @param {Function} options.onImpression - Called with (element, properties) for each impression (optional)
+   * @returns {Function} Function to stop tracking
+   * @example
+   * const stop = utils.trackImpression('.promo-banner', {
+   *   ratio: 0.5,
+   *   duration: 1000,
+   *   props: { experiment: 'exp-42' }
+   * });
+   */
+  trackImpression: function(selector, options = {}) {
+    const {
+      ratio = 0.5,
+      duration = 1000,
+      once = true,
+      event = 'impression',
+      props = {},
+      onImpression = null
+    } = options;
+    const visible = new Set(); // Elements currently at least `ratio` visible
+    const timers = new Map(); // Element -> pending impression timeout
+    const seen = new WeakSet();
+
+    const cancel = (el) => {
+      clearTimeout(timers.get(el));
+      timers.delete(el);
+    };
+
+    const start = (el) => {
+      if (timers.has(el) || document.visibilityState === 'hidden') return;
+      timers.set(el, setTimeout(() => {
+        timers.delete(el);
+        seen.add(el);
+        if (once) {
+          observer.unobserve(el);
+          visible.delete(el);
+        }
+        const properties = {
+          ...props,
+          selector,
+          text: (el.textContent || '').trim().slice(0, 100),
+          index: Array.prototype.indexOf.call(document.querySelectorAll(selector), el)
+        };
+        this.track(event, properties);
+        if (onImpression) onImpression(el, properties);
+      }, duration));
+    };
+
+    // Tall elements stay below `ratio`, so also get callbacks while they scroll further into view
+    const thresholds = [0];
+    for (let step = 1; step / 20 < ratio; step++) thresholds.push(step / 20);
+    thresholds.push(ratio);
+
+    const isQualified = (entry) => {
+      if (!entry.isIntersecting) return false;
+      if (entry.intersectionRatio >= ratio) return true;
+      const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+      return viewportHeight > 0 && entry.intersectionRect.height / viewportHeight >= ratio;
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (isQualified(entry)) {
+          visible.add(entry.target);
+          start(entry.target);
+        } else {
+          visible.delete(entry.target);
+          cancel(entry.target);
+        }
+      });
+    }, { threshold: thresholds });
+
+    // Visibility time only counts while the page itself is visible
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') {
+        Array.from(timers.keys()).forEach(cancel);
+      } else {
+        visible.forEach(start);
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    const observeElement = (el) => {
+      if (!(once && seen.has(el))) observer.observe(el);
+    };
+    const unobserveElement = (el) => {
+      observer.unobserve(el);
+      visible.delete(el);
+      cancel(el);
+    };
+
+    const stopWatching = this.watch(selector, {
+      onAdd: observeElement,
+      onRemove: unobserveElement,
+      onMatchChange: (el, isMatch) => (isMatch ? observeElement(el) : unobserveElement(el))
+    });
+
+    return () => {
+      stopWatching();
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', handleVisibility);
+      Array.from(timers.keys()).forEach(cancel);
+      visible.clear();
+    };
+  },
+
+  /**
+   * Track how users interact with all current and future forms matching the selector
+   * Only field names are reported, never values. Every callback is optional and receives a details object
+   * including `form` (the form's name, id or index among matching forms).
+   * A form is abandoned when the page is hidden for unload (pagehide), or the form is removed from the page,
+   * after the user typed into or changed at least one field and without a successful submit.
+   * @param {string} formSelector - CSS selector of forms
+   * @param {Object} callbacks - Callbacks object
+   * @param {Function} callbacks.onFocus - Field focused: { form, field, type }
+   * @param {Function} callbacks.onBlur - Field blurred: { form, field, type, duration, totalDuration } (milliseconds)
+   * @param {Function} callbacks.onChange - Field changed: { form, field, type }
+   * @param {Function} callbacks.onInvalid - Field failed validation: { form, field, type, errors } where errors are
+   *   ValidityState keys such as 'valueMissing'
+   * @param {Function} callbacks.onSubmitAttempt - Submit attempted: { form, valid, invalidFields }. Failed attempts
+   *   are counted after a submit button click or Enter key; the page's own checkValidity() calls don't count
+   * @param {Function} callbacks.onSubmit - Form submitted after passing validation: { form, duration, changedFields }
+   * @param {Function} callbacks.onAbandon - Form abandoned: { form, changedFields, lastField, fieldDurations, duration }
+   * @returns {Function} Function to stop tracking
+   * @example
+   * utils.trackForm('#checkout-form', {
+   *   onInvalid: ({ field, errors }) => utils.track('form_error', { field, errors }),
+   *   onSubmit: ({ duration }) => utils.trackGoal('checkout_submitted', { duration }),
+   *   onAbandon: ({ lastField, changedFields }) => {
+   *     utils.track('form_abandoned', { lastField, fieldsChanged: changedFields.length });
+   *   }
+   * });
+   */
+  trackForm: function(formSelector, callbacks = {}) {
+    const {
+      onFocus = null,
+      onBlur = null,
+      onChange = null,
+      onInvalid = null,
+      onSubmitAttempt = null,
+      onSubmit = null,
+      onAbandon = null
+    } = callbacks;
+    const forms = new Map(); // Form -> { state, detach }
+
+    const getFormName = (form) => {
+      return form.getAttribute('name') || form.id ||
+        `form[${Array.prototype.indexOf.call(document.querySelectorAll(formSelector), form)}]`;
+    };
+
+    const reportAbandon = (state) => {
+      if (state.changed.size === 0) return;
+      const details = {
+        form: state.name,
+        changedFields: Array.from(state.changed),
+        lastField: state.lastField,
+        fieldDurations: { ...state.fieldDurations },
+        duration: Date.now() - state.startTime
+      };
+      state.changed.clear();
+      if (onAbandon) onAbandon(details);
+    };
+
+    const attach = (form) => {
+      if (forms.has(form)) return;
+      const state = {
+        name: getFormName(form),
+        startTime: null, // First interaction
+        changed: new Set(),
+        fieldDurations: {},
+        lastField: null,
+        focusStart: 0,
+        invalidFields: [],
+        invalidTimer: null,
+        submitIntent: false // A submit button was clicked or Enter pressed in this task
+      };
+
+      const getField = (e) => {
+        const field = e.target;
+        if (!(field instanceof Element) || !isFormField(field)) return null;
+        return { form: state.name, field: getFieldName(field), type: field.type };
+      };
+
+      const handleFocusIn = (e) => {
+        const info = getField(e);
+        if (!info) return;
+        if (state.startTime === null) state.startTime = Date.now();
+        state.lastField = info.field;
+        state.focusStart = Date.now();
+        if (onFocus) onFocus(info);
+      };
+
+      const handleFocusOut = (e) => {
+        const info = getField(e);
+        if (!info) return;
+        const duration = Date.now() - state.focusStart;
+        state.fieldDurations[info.field] = (state.fieldDurations[info.field] || 0) + duration;
+        if (onBlur) onBlur({ ...info, duration, totalDuration: state.fieldDurations[info.field] });
+      };
+
+      // 'change' waits for blur, so a field typed into before leaving the page only fires 'input'
+      const markChanged = (e) => {
+        const info = getField(e);
+        if (!info) return null;
+        if (state.startTime === null) state.startTime = Date.now();
+        state.changed.add(info.field);
+        state.lastField = info.field;
+        return info;
+      };
+
+      const handleChange = (e) => {
+        const info = markChanged(e);
+        if (info && onChange) onChange(info);
+      };
+
+      // Validation runs in the same task as the click or keypress, so the intent only lasts until the next tick
+      const markSubmitIntent = () => {
+        state.submitIntent = true;
+        setTimeout(() => {
+          state.submitIntent = false;
+        }, 0);
+      };
+      const handleClick = (e) => {
+        const button = e.target instanceof Element ? e.target.closest(SUBMIT_BUTTONS) : null;
+        if (button && button.form === form) markSubmitIntent();
+      };
+      const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT' && isFormField(e.target)) markSubmitIntent();
+      };
+
+      // 'invalid' fires once per failing field; collect the fields of one submit attempt. It also fires for the
+      // page's own checkValidity()/reportValidity() calls, which aren't submit attempts.
+      const handleInvalid = (e) => {
+        const info = getField(e);
+        if (!info) return;
+        const errors = [];
+        for (const key in e.target.validity) {
+          if (key !== 'valid' && e.target.validity[key]) errors.push(key);
+        }
+        if (onInvalid) onInvalid({ ...info, errors });
+
+        if (!state.submitIntent) return;
+        state.invalidFields.push(info.field);
+        if (state.invalidTimer === null) {
+          state.invalidTimer = setTimeout(() => {
+            const invalidFields = state.invalidFields.splice(0);
+            state.invalidTimer = null;
+            if (onSubmitAttempt) onSubmitAttempt({ form: state.name, valid: false, invalidFields });
+          }, 0);
+        }
+      };
+
+      const handleSubmit = () => {
+        const changedFields = Array.from(state.changed);
+        state.changed.clear();
+        if (onSubmitAttempt) onSubmitAttempt({ form: state.name, valid: true, invalidFields: [] });
+        if (onSubmit) {
+          onSubmit({ form: state.name, duration: state.startTime === null ? 0 : Date.now() - state.startTime, changedFields });
+        }
+      };
+
+      form.addEventListener('focusin', handleFocusIn);
+      form.addEventListener('focusout', handleFocusOut);
+      form.addEventListener('input', markChanged);
+      form.addEventListener('change', handleChange);
+      form.addEventListener('invalid', handleInvalid, true); // Doesn't bubble
+      form.addEventListener('submit', handleSubmit);
+      form.addEventListener('keydown', handleKeyDown, true);
+      // Submit buttons may sit outside the form (form="..." attribute)
+      document.addEventListener('click', handleClick, true);
+
+      forms.set(form, {
+        state,
+        detach: () => {
+          clearTimeout(state.invalidTimer);
+          form.removeEventListener('focusin', handleFocusIn);
+          form.removeEventListener('focusout', handleFocusOut);
+          form.removeEventListener('input', markChanged);
+          form.removeEventListener('change', handleChange);
+          form.removeEventListener('invalid', handleInvalid, true);
+          form.removeEventListener('submit', handleSubmit);
+          form.removeEventListener('keydown', handleKeyDown, true);
+          document.removeEventListener('click', handleClick, true);
+        }
+      });
+    };
+
+    const detach = (form) => {
+      const entry = forms.get(form);
+      if (!entry) return;
+      forms.delete(form);
+      entry.detach();
+      reportAbandon(entry.state);
+    };
+
+    const handleUnload = () => forms.forEach(entry => reportAbandon(entry.state));
+    window.addEventListener('pagehide', handleUnload);
+
+    // Single-page apps often remove a form instead of unloading the page
+    const stopWatching = this.watch(formSelector, {
+      onAdd: attach,
+      onRemove: detach,
+      onMatchChange: (form, isMatch) => (isMatch ? attach(form) : detach(form))
+    });
+
+    return () => {
+      stopWatching();
+      window.removeEventListener('pagehide', handleUnload);
+      forms.forEach(entry => entry.detach());
+      forms.clear();
+    };
+  },
+
+  /**
+   * Register an analytics destination for track()
+   * Built-in types:
+   *   - 'dataLayer' - Pushes { event, ...properties } to window.dataLayer (GTM)
+   *   - 'gtag' - Calls window.gtag('event', name, properties) once gtag is loaded
+   *   - 'beacon' - Posts batches as JSON to options.url with navigator.sendBeacon
+   *   - 'console' - Logs events to the console
+   * Custom destinations are objects with send(events) and an optional isReady() function.
+   * Events tracked earlier in the page view, or while the destination isn't ready, are queued for it.
+   *
+   * @param {string|Object} destination - Built-in type, or a custom destination object
+   * @param {Object} options - Options object
+   * @param {string} options.name - Destination name (default: the built-in type, or destination.name)
+   * @param {string} options.url - Endpoint for the 'beacon' destination
+   * @returns {Function} Function to remove the destination
+   *
+   * @example
+   * utils.addDestination('dataLayer');
+   * utils.addDestination('beacon', { url: 'https://collect.example.com/events' });
+   * utils.addDestination({
+   *   name: 'segment',
+   *   isReady: () => !!window.analytics,
+   *   send: events => events.forEach(e => window.analytics.track(e.name, e.properties))
+   * });
+   */
+  addDestination: function(destination, options = {}) {
+    let created;
+    if (typeof destination === 'string') {
+      if (!builtInDestinations[destination]) {
+        throw new Error(`Unknown analytics destination: ${destination}`);
+      }
+      created = builtInDestinations[destination](options);
+    } else {
+      created = destination;
+    }
+
+    const name = options.name || (typeof destination === 'string' ? destination : destination.name);
+    const entry = {
+      send: created.send,
+      isReady: created.isReady || (() => true),
+      pending: trackedEvents.slice()
+    };
+    trackingDestinations.set(name, entry);
+
+    if (!trackingUnloadBound) {
+      trackingUnloadBound = true;
+      window.addEventListener('pagehide', flushTracking);
+    }
+
+    if (entry.pending.length) scheduleTrackingFlush(TRACKING_BATCH_DELAY);
+
+    return () => {
+      if (trackingDestinations.get(name) === entry) trackingDestinations.delete(name);
+    };
+  },
+
+  /**
+   * Set properties added to every event sent through track(), such as the experiment and variant
+   * Variants assigned through assignVariant() are added automatically under `experiments`.
+   * @param {Object} context - Properties to merge into the tracking context
+   * @example
+   * utils.setTrackingContext({ experiment: 'pdp-cta', variant: 'bag-copy' });
+   */
+  setTrackingContext: function(context) {
+    Object.assign(trackingContext, context);
+  },
+
+  /**
+   * Track an analytics event
+   * Events are batched and fanned out to every destination registered with addDestination().
+   * While the page is hidden (e.g. from a pagehide handler) events are sent immediately instead.
+   * Identical events (same name and properties) within one second of each other are dropped as duplicates.
+   * Properties that can't be serialized (e.g. circular objects) skip this check, and the 'beacon' destination
+   * leaves such events out of its batch.
+   * @param {string} eventName - Event name
+   * @param {Object} props - Event properties
+   * @param {Object} options - Options object
+   * @param {string} options.dedupeKey - Send the event at most once per page view for this key (optional)
+   * @returns {boolean} True if the event was queued, false if it was dropped as a duplicate
+   * @example
+   * utils.track('cta_clicked', { location: 'hero' });
+   */
+  track: function(eventName, props = {}, options = {}) {
+    const now = Date.now();
+    const properties = { ...trackingContext, experiments: { ...trackingContext.experiments }, ...props };
+
+    if (options.dedupeKey) {
+      if (sentDedupeKeys.has(options.dedupeKey)) return false;
+      sentDedupeKeys.add(options.dedupeKey);
+    } else {
+      // Drop entries outside the window; the Map is kept in send order, so stop at the first recent one
+      for (const [key, sentAt] of recentEvents) {
+        if (now - sentAt < TRACKING_DEDUPE_WINDOW) break;
+        recentEvents.delete(key);
+      }
+
+      let contentKey = null;
+      try {
+        contentKey = `${eventName}:${JSON.stringify(props)}`;
+      } catch (e) {
+        // Circular or BigInt props can't be compared, so they skip deduplication
+      }
+      if (contentKey !== null) {
+        if (recentEvents.has(contentKey)) return false;
+        recentEvents.set(contentKey, now);
+      }
+    }
+
+    const event = { name: eventName, properties, timestamp: now };
+    enqueueEvents(trackedEvents, [event]);
+    trackingDestinations.forEach(destination => enqueueEvents(destination.pending, [event]));
+    if (trackingDestinations.size) {
+      // A hidden page may be unloading, so don't wait for the batch timer
+      if (document.visibilityState === 'hidden') {
+        flushTracking();
+      } else {
+        scheduleTrackingFlush(TRACKING_BATCH_DELAY);
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Send queued events to every ready destination immediately
+   */
+  flushEvents: function() {
+    flushTracking();
+  },
+
   /**
    * Format number with commas
    * @param {number} num - Number to format
@@ -1257,6 +5433,7 @@ export default {
 
   /**
    * Parse query string to object
+   * Note: Repeated keys keep only the last value. Use utils.url(href).params() to keep them all.
    * @param {string} queryString - Query string (defaults to current search)
    * @returns {Object} Object with query parameters
    */
@@ -1271,6 +5448,7 @@ export default {
 
   /**
    * Build query string from object
+   * Note: Use utils.url().query(params) for arrays and nested objects.
    * @param {Object} params - Object with query parameters
    * @returns {string} Query string
    */
@@ -1317,6 +5495,109 @@ export default {
     return arr;
   },
 
+  /**
+   * Hash a string with MurmurHash3 (x86, 32-bit)
+   * Unlike random(), the result is the same on every page load and in every browser.
+   * @param {string} key - String to hash
+   * @param {number} seed - Hash seed (default: 0)
+   * @returns {number} Unsigned 32-bit hash
+   */
+  hash: function(key, seed = 0) {
+    return murmurhash3(String(key), seed);
+  },
+
+  /**
+   * Get the visitor's bucketing id, creating and storing it in a cookie on first use
+   * @param {string} cookieName - Cookie that holds the id (default: 'eli_uid')
+   * @returns {string} User id
+   */
+  getUserId: function(cookieName = 'eli_uid') {
+    let userId = this.getCookie(cookieName);
+    if (!userId) {
+      userId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+      this.setCookie(cookieName, userId, 365);
+    }
+    return userId;
+  },
+
+  /**
+   * Deterministically assign the visitor to a variant of an experiment
+   * The same user id and experiment key always produce the same variant. Assignments are also
+   * stored in a cookie, so they stick even if the weights change later.
+   * Order of precedence: query parameter override, stored assignment, exclusion group, traffic allocation, weights.
+   *
+   * @param {string} experimentKey - Experiment key
+   * @param {Array<string>|Array<Object>|Object} variants - Variant names (equal weights), { name, weight } objects,
+   *   or a name -> weight map
+   * @param {Object} options - Options object
+   * @param {string} options.userId - User id to bucket on (default: utils.getUserId())
+   * @param {number} options.traffic - Share of visitors included in the experiment, 0-1 (default: 1)
+   * @param {Object} options.group - Mutually exclusive group: { key, experiments }. The visitor is placed in
+   *   exactly one of the group's experiments and excluded from the others (optional)
+   * @param {string} options.overrideParam - Query parameter that forces a variant (default: 'eli_<experimentKey>')
+   * @param {boolean} options.sticky - Store the assignment in a cookie (default: true)
+   * @returns {Object} Object with experiment, variant (null if excluded), bucket and source
+   *   ('override', 'sticky', 'group', 'traffic' or 'hash'). Assigned variants are added to the
+   *   context of every event sent through track().
+   *
+   * @example
+   * const { variant } = utils.assignVariant('pdp-cta', { control: 50, 'bag-copy': 50 }, { traffic: 0.5 });
+   * if (variant === 'bag-copy') {
+   *   utils.setText('.add-to-cart', 'Add to bag');
+   * }
+   *
+   * @example
+   * // Force a variant while QA'ing: https://example.com/?eli_pdp-cta=bag-copy
+   */
+  assignVariant: function(experimentKey, variants, options = {}) {
+    const {
+      userId = this.getUserId(),
+      traffic = 1,
+      group = null,
+      overrideParam = `eli_${experimentKey}`,
+      sticky = true
+    } = options;
+
+    const normalized = normalizeVariants(variants);
+    const names = normalized.map(variant => variant.name);
+    const cookieName = `eli_exp_${experimentKey}`;
+    const bucket = getBucket(`${userId}:${experimentKey}`);
+    const result = (variant, source) => {
+      // Tag analytics events sent through track() with the assignment
+      if (variant !== null) trackingContext.experiments[experimentKey] = variant;
+      return { experiment: experimentKey, variant, bucket, source };
+    };
+
+    const override = this.getQueryParam(overrideParam);
+    if (override !== null && names.includes(override)) {
+      return result(override, 'override');
+    }
+
+    const stored = sticky ? this.getCookie(cookieName) : null;
+    if (stored !== null && names.includes(stored)) {
+      return result(stored, 'sticky');
+    }
+
+    if (group) {
+      const slot = getBucket(`${userId}:${group.key}`) % group.experiments.length;
+      if (group.experiments[slot] !== experimentKey) {
+        return result(null, 'group');
+      }
+    }
+
+    if (getBucket(`${userId}:${experimentKey}:traffic`) >= traffic * BUCKET_COUNT) {
+      return result(null, 'traffic');
+    }
+
+    const variant = pickWeighted(normalized, bucket);
+    if (sticky && variant !== null) {
+      this.setCookie(cookieName, variant, 365);
+    }
+    return result(variant, 'hash');
+  },
+
   /**
    * Deep clone object
    * @param {*} obj - Object to clone